@@ -1,5 +1,7 @@
 // dotenv/config not needed in Vercel - env vars are already available
 import { randomUUID } from 'crypto';
+import * as protocol from './lib/protocol.js';
+import { isCli } from './lib/runtime.js';
 const uuidv4 = () => randomUUID();
 const uuidValidate = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(String(value));
 
@@ -252,10 +254,12 @@ async function saveHotelsToSupabase(hotels, userId) {
   console.log(`📊 Total procesados: ${totalInserted} hoteles`);
 }
 
-// --- CLI ---
-const args = process.argv.slice(2);
-
-if (args.length >= 2) {
+// --- CLI / worker thread: main(["<latitud>", "<longitud>", ...opciones]) ---
+export async function main(args) {
+  if (args.length < 2) {
+    printUsage();
+    return;
+  }
   const lat = parseFloat(args[0]);
   const lng = parseFloat(args[1]);
   const radius = parseInt(args.find(arg => arg.startsWith('--radius='))?.split('=')[1]) || 30;
@@ -276,39 +280,39 @@ if (args.length >= 2) {
     console.log(`   User ID: ${userId || 'Ninguno'}`);
   }
 
-  (async () => {
-    try {
-      if (!isApiCall) {
-        console.log('🔍 Buscando hoteles...');
-      }
-      
-      const hotels = await getHotelsByGeocode(lat, lng, null, radius, keyword);
-      
-      if (!isApiCall) {
-        console.log(`✅ Encontrados ${hotels.length} hoteles`);
-      }
-
-      if (saveToDb && userId) {
-        if (!isApiCall) {
-          console.log('💾 Guardando hoteles en base de datos...');
-        }
-        await saveHotelsToSupabase(hotels, userId);
-      } else {
-        // Para llamadas de API, solo devolver JSON puro
-        console.log(JSON.stringify(hotels, null, 2));
-      }
+  try {
+    if (!isApiCall) {
+      console.log('🔍 Buscando hoteles...');
+    }
+    
+    const hotels = await getHotelsByGeocode(lat, lng, null, radius, keyword);
+    
+    if (!isApiCall) {
+      console.log(`✅ Encontrados ${hotels.length} hoteles`);
+    }
 
-    } catch (error) {
+    if (saveToDb && userId) {
       if (!isApiCall) {
-        console.error('❌ Error:', error.message);
+        console.log('💾 Guardando hoteles en base de datos...');
       }
-      process.exit(1);
+      await saveHotelsToSupabase(hotels, userId);
+    } else {
+      // Para llamadas de API, solo devolver JSON puro
+      protocol.result(hotels);
     }
-    
-    // Asegurar que el script termine
-    process.exit(0);
-  })();
-} else {
+
+  } catch (error) {
+    if (!isApiCall) {
+      console.error('❌ Error:', error.message);
+    }
+    process.exit(1);
+  }
+  
+  // Asegurar que el script termine
+  process.exit(0);
+}
+
+function printUsage() {
   console.log("Uso: node amadeus_hotels.js <latitud> <longitud> [opciones]");
   console.log("");
   console.log("Opciones:");
@@ -322,3 +326,5 @@ if (args.length >= 2) {
   console.log("  node amadeus_hotels.js 32.5250 -117.0233 --radius=50 --keyword=hilton");
   console.log("  node amadeus_hotels.js 32.5250 -117.0233 --user-id=19609844-eb33-490d-9ead-c8f56f6ed790 --save");
 }
+
+if (isCli(import.meta.url)) main(process.argv.slice(2));
@@ -1,10 +1,17 @@
 
 // dotenv/config not needed in Vercel - env vars are already available
-import { chromium } from 'playwright';
 import { createClient } from '@supabase/supabase-js';
 import fs from 'fs';
 import path from 'path';
 import { randomUUID } from 'crypto';
+import * as protocol from './lib/protocol.js';
+import { launchBrowser } from './lib/browser.js';
+import { PRICE_PATTERN } from './lib/price.js';
+import { roomsFromRates } from './lib/rates.js';
+import { extractRoomRows } from './lib/rooms.js';
+import { rankCandidates } from './lib/candidates.js';
+import { runQueue } from './lib/queue.js';
+import { isCli, onSignal } from './lib/runtime.js';
 const uuidv4 = () => randomUUID();
 const uuidValidate = (value) => /^[0-9a-f]{8}-[0-9a-f]{4}-[1-5][0-9a-f]{3}-[89ab][0-9a-f]{3}-[0-9a-f]{12}$/i.test(String(value));
 
@@ -49,9 +56,34 @@ function getStopFile(userId) {
   }
 }
 function shouldStop(userId) {
+  if (cancelled) return true;
   try { return !!(userId && fs.existsSync(getStopFile(userId))); } catch { return false }
 }
 
+// --- Cancelación: el server envía SIGTERM (o `cancel` en un worker thread); cerrar Chromium y devolver lo ya scrapeado ---
+const activeBrowsers = new Set();
+// Resultado a devolver si se cancela a mitad (lo fija cada modo de scraping)
+let partialPayload = () => [];
+let cancelled = false;
+onSignal('cancel', async () => {
+  cancelled = true;
+  console.log('🛑 Cancelado: cerrando navegador y devolviendo resultados parciales...');
+  await Promise.race([
+    Promise.all([...activeBrowsers].map(b => b.close().catch(() => {}))),
+    new Promise(r => setTimeout(r, 5000))
+  ]);
+  protocol.result(partialPayload());
+  process.exit(143);
+});
+
+// --- Drenado: el server envía SIGUSR2 (o `drain`) al apagarse; terminar la fecha en curso y guardar lo ya scrapeado ---
+let draining = false;
+onSignal('drain', () => {
+  draining = true;
+  console.log('⏸️  Worker apagándose: terminando la fecha en curso y guardando resultados parciales...');
+  protocol.log('warn', 'draining: finishing current date');
+});
+
 // --- Función para generar fechas de los próximos 90 días ---
 function generateDates(days = 90) {
   const dates = [];
@@ -72,35 +104,8 @@ function generateDates(days = 90) {
   return dates;
 }
 
-// --- Scraper principal ---
-async function scrapeBookingPrices(hotelName, { locale = 'en-us', currency = 'MXN', headless = true } = {}) {
-  const userAgent = getRandomUA();
-  
-  const browser = await chromium.launch({
-    headless,
-    args: [
-      '--no-sandbox',
-      '--disable-setuid-sandbox',
-      '--disable-blink-features=AutomationControlled',
-      '--disable-web-security',
-      '--disable-dev-shm-usage'
-    ]
-  });
-  const context = await browser.newContext({
-    userAgent,
-    viewport: { width: 1366, height: 768 },
-    locale: 'es-ES',
-    extraHTTPHeaders: { 'accept-language': 'es-ES,es;q=0.9,en;q=0.8' }
-  })
-  const page = await context.newPage();
-
-  const today = new Date();
-  const tomorrow = new Date(today);
-  tomorrow.setDate(today.getDate() + 1);
-
-  const checkin = today.toISOString().split('T')[0];
-  const checkout = tomorrow.toISOString().split('T')[0];
-
+// Busca el hotel por nombre y abre la ficha mejor puntuada. false si no hay resultados o no carga.
+async function openSearchResult(page, hotelName, { locale, currency, checkin, checkout }) {
   // Construir URL directa con el hotel
   const encodedHotelName = encodeURIComponent(hotelName);
   const url = `https://www.booking.com/searchresults.html?lang=${locale}&selected_currency=${currency}&checkin=${checkin}&checkout=${checkout}&ss=${encodedHotelName}`;
@@ -113,8 +118,7 @@ async function scrapeBookingPrices(hotelName, { locale = 'en-us', currency = 'MX
       await page.goto(url, { waitUntil: 'domcontentloaded', timeout: 90000 });
     } catch (error2) {
       console.log('❌ Error al cargar página de resultados:', error2.message);
-      await browser.close();
-      return [];
+      return false;
     }
   }
   
@@ -134,53 +138,65 @@ async function scrapeBookingPrices(hotelName, { locale = 'en-us', currency = 'MX
 
   // Seleccionar el mejor match por nombre (evita saltar a otra ciudad)
   try {
-    const targetName = hotelName.toLowerCase().replace(/\s+/g, ' ').trim();
-    const candidates = await page.evaluate(() => {
-      const out = [];
-      const cards = document.querySelectorAll('[data-testid="property-card"]');
-      cards.forEach((card) => {
-        const titleEl = card.querySelector('[data-testid="title"], .fcab3ed991, h3, h2, a');
-        const linkEl = card.querySelector('a[href*="/hotel/"]') || card.querySelector('a');
-        const title = titleEl?.textContent?.trim() || '';
-        const href = linkEl?.href || '';
-        if (href) out.push({ title, href });
-      });
-      if (out.length === 0) {
-        document.querySelectorAll('a[href*="/hotel/"]').forEach((a) => {
-          const title = a.textContent?.trim() || '';
-          const href = a.href || '';
-          if (href) out.push({ title, href });
-        })
-      }
-      return out;
-    });
-
-    let best = null;
-    let bestScore = -1;
-    for (const c of candidates) {
-      const title = (c.title || '').toLowerCase().replace(/\s+/g, ' ').trim();
-      let score = 0;
-      if (title.includes(targetName)) score += 100; // match completo
-      // sumar puntos por palabras compartidas
-      const words = targetName.split(' ').filter(w => w.length > 2);
-      for (const w of words) if (title.includes(w)) score += 2;
-      // penalizar si el href aparenta otra ciudad con pistas comunes
-      if (/sandiego|san-diego|usa|united-states/i.test(c.href)) score -= 5;
-      if (score > bestScore) { bestScore = score; best = c; }
-    }
-
-    const chosenHref = (best && bestScore >= 0) ? best.href : (candidates[0]?.href || null);
+    const candidates = rankCandidates(hotelName, await page.evaluate(extractSearchCandidates));
+    candidates.slice(0, 3).forEach(c => console.log(`   🔎 ${c.score} ${c.name} (${c.city || '?'})`));
+    const chosenHref = candidates[0]?.url || null;
     if (!chosenHref) {
       console.log('❌ No se pudo localizar un resultado válido');
-      await browser.close();
-      return [];
+      return false;
     }
 
-    console.log('➡️  Abriendo:', chosenHref, '| score:', bestScore);
+    console.log('➡️  Abriendo:', chosenHref, '| score:', candidates[0].score);
     await page.goto(chosenHref, { waitUntil: 'domcontentloaded', timeout: 90000 });
     console.log('✅ Página del hotel cargada');
   } catch (error2) {
     console.log('❌ Error al abrir el primer resultado:', error2.message);
+    return false;
+  }
+  return true;
+}
+
+// --- Scraper principal ---
+async function scrapeBookingPrices(hotelName, { locale = 'en-us', currency = 'MXN', headless = true, hotelUrl = null } = {}) {
+  const userAgent = getRandomUA();
+  
+  const browser = await launchBrowser({
+    headless,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-blink-features=AutomationControlled',
+      '--disable-web-security',
+      '--disable-dev-shm-usage'
+    ]
+  });
+  activeBrowsers.add(browser);
+  const context = await browser.newContext({
+    userAgent,
+    viewport: { width: 1366, height: 768 },
+    locale: 'es-ES',
+    extraHTTPHeaders: { 'accept-language': 'es-ES,es;q=0.9,en;q=0.8' }
+  })
+  const page = await context.newPage();
+
+  const today = new Date();
+  const tomorrow = new Date(today);
+  tomorrow.setDate(today.getDate() + 1);
+
+  const checkin = today.toISOString().split('T')[0];
+  const checkout = tomorrow.toISOString().split('T')[0];
+
+  // Ficha fijada (--url): sin búsqueda; si no, el mejor resultado por nombre
+  if (hotelUrl) {
+    try {
+      await page.goto(hotelUrl, { waitUntil: 'domcontentloaded', timeout: 90000 });
+      console.log('📌 Ficha fijada:', hotelUrl);
+    } catch (error) {
+      console.log('❌ Error al abrir la ficha fijada:', error.message);
+      await browser.close();
+      return [];
+    }
+  } else if (!(await openSearchResult(page, hotelName, { locale, currency, checkin, checkout }))) {
     await browser.close();
     return [];
   }
@@ -201,6 +217,7 @@ async function scrapeBookingPrices(hotelName, { locale = 'en-us', currency = 'MX
       u.searchParams.set('group_adults', '1');
       u.searchParams.set('req_adults', '1');
       u.searchParams.set('no_rooms', '1');
+      u.searchParams.set('selected_currency', currency);
       await page.goto(u.toString(), { waitUntil: 'domcontentloaded', timeout: 60000 });
       console.log('🔁 Recargado con fechas y 1 adulto');
     }
@@ -258,174 +275,21 @@ async function scrapeBookingPrices(hotelName, { locale = 'en-us', currency = 'MX
     page.waitForSelector('[data-testid*="RoomRow"], .bui-price-display__value', { timeout: 10000 })
   ]); } catch {}
 
-  let roomData = await page.evaluate(() => {
-    const results = [];
-    const seenTypes = new Set();
-    
-    // Enfocarse específicamente en la tabla hprt-table
-    const hprtTable = document.querySelector('#hprt-table, .hprt-table');
-    
-    if (hprtTable) {
-      console.log('✅ Tabla hprt-table encontrada');
-      
-      // Buscar filas de habitaciones en la tabla
-      const rows = hprtTable.querySelectorAll('tr');
-      
-      rows.forEach(row => {
-        const cells = row.querySelectorAll('td, th');
-        
-        if (cells.length >= 2) {
-          // Extraer nombre real del tipo de habitación dentro de la primera celda
-          const roomTypeCell = cells[0];
-          const nameSelectors = [
-            '.hprt-roomtype-icon-link',
-            '.hprt-roomtype-name',
-            'span.hprt-roomtype-room',
-            'a.hprt-roomtype-link',
-            'strong',
-            'h3', 'h2'
-          ];
-          let roomTypeRaw = '';
-          for (const sel of nameSelectors) {
-            const el = roomTypeCell.querySelector(sel);
-            const txt = el?.textContent?.trim();
-            if (txt && txt.length > 3) { roomTypeRaw = txt; break; }
-          }
-          if (!roomTypeRaw) {
-            roomTypeRaw = roomTypeCell?.textContent?.trim() || ''
-          }
-          // Limpiar textos de capacidad (Max. people, Only for x guest, etc.) y normalizar
-          let roomType = roomTypeRaw
-            .split('\n')
-            .map(s => s.trim())
-            .filter(s => s && !/^(max\.|máx\.|max|solo|only|capacidad|occupancy)/i.test(s) && !/(people|personas|guests?)/i.test(s))
-            .join(' ')
-            .replace(/\s+/g, ' ')
-            .trim();
-          if (!roomType || roomType.length <= 3) return;
-          
-          if (seenTypes.has(roomType)) return; // ya tomamos el primer precio de este tipo
-          
-          // Buscar precio prioritariamente en '.prco-valign-middle-helper' dentro de la fila
-          let price = null;
-          const priceEl = row.querySelector('.prco-valign-middle-helper');
-          if (priceEl && priceEl.textContent) {
-            const m = priceEl.textContent.trim().match(/(MXN\s*\$?|\$|USD|EUR)\s*[\d.,]+/);
-            if (m) price = m[0];
-          }
-          // Fallback: buscar hacia el final de la fila
-          if (!price) {
-            for (let i = cells.length - 1; i >= 0; i--) {
-              const cellText = cells[i]?.textContent?.trim();
-              if (cellText) {
-                const priceMatch = cellText.match(/(MXN\s*\$?|\$|USD|EUR)\s*[\d.,]+/);
-                if (priceMatch) { price = priceMatch[0]; break; }
-              }
-            }
-          }
-          
-          if (price) {
-            results.push({ room_type: roomType, price, source: 'hprt-table' });
-            seenTypes.add(roomType);
-          }
-        }
-      });
-      
-      console.log(`📊 Primer precio por tipo de habitación (hprt-table): ${results.length}`);
-    } else {
-      console.log('⚠️ Tabla hprt-table no encontrada');
-    }
-    
-    return results;
-  });
-  
-  // Fallback genérico si no se encontraron resultados en hprt-table
-  if (roomData.length === 0) {
-    try {
-      roomData = await page.evaluate(() => {
-        const results = []
-
-        const getRoomTypeNear = (el) => {
-          // Buscar arriba en jerarquía por candidatos comunes
-          const container = el.closest('tr, .hprt-table, .room, .sr_item, section, article, div') || document
-          const selectors = [
-            '.hprt-roomtype-icon-link',
-            '.hprt-roomtype-name',
-            'span.hprt-roomtype-room',
-            '[data-room-name]',
-            '.sr-room__name',
-            '.roomName',
-            'h3',
-            'h2',
-            'th',
-            'td'
-          ]
-          for (const sel of selectors) {
-            const cand = container.querySelector(sel)
-            const txt = cand?.textContent?.trim()
-            if (txt && txt.length > 3) {
-              const cleaned = txt
-                .split('\n')
-                .map(s => s.trim())
-                .filter(s => s && !/^(max\.|máx\.|max|solo|only|capacidad|occupancy)/i.test(s) && !/(people|personas|guests?)/i.test(s))
-                .join(' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-              if (cleaned && cleaned.length > 3) return cleaned
-            }
-          }
-          // Intentar fila previa (primer celda como nombre)
-          const row = el.closest('tr')
-          if (row && row.children && row.children.length > 0) {
-            const txt = row.children[0]?.textContent?.trim()
-            if (txt && txt.length > 3) {
-              const cleaned = txt
-                .split('\n')
-                .map(s => s.trim())
-                .filter(s => s && !/^(max\.|máx\.|max|solo|only|capacidad|occupancy)/i.test(s) && !/(people|personas|guests?)/i.test(s))
-                .join(' ')
-                .replace(/\s+/g, ' ')
-                .trim();
-              if (cleaned && cleaned.length > 3) return cleaned
-            }
-          }
-          return ''
-        }
-
-        const candidates = document.querySelectorAll('[data-testid*="RoomRow"], [data-testid*="price"], .bui-price-display__value, .prco-valign-middle-helper')
-        candidates.forEach((el) => {
-          const priceText = el.textContent?.trim() || ''
-          const m = priceText.match(/(MXN\s*\$?|\$|USD|EUR)\s*[\d.,]+/)
-          if (!m) return
-          let roomType = getRoomTypeNear(el)
-          if (!roomType) return
-          if (!results.some(r => r.room_type === roomType && r.price === m[0])) {
-            results.push({ room_type: roomType, price: m[0], source: 'generic' })
-          }
-        })
-        return results
-      })
-    } catch {}
-  }
+  // Una fila por tarifa (hprt-table o RoomRow); sin tabla, primer precio por tipo (lib/rooms.js)
+  const roomData = await page.evaluate(extractRoomRows, { pattern: PRICE_PATTERN }).catch(() => []);
+  console.log(roomData.length ? `📊 Tarifas encontradas (${roomData[0].source}): ${roomData.length}` : '⚠️ Tabla de habitaciones no encontrada o sin precios');
   
-  // Dedupe: conservar solo el primer precio por tipo de habitación
-  const firstPriceByType = [];
-  const seen = new Set();
-  for (const r of roomData) {
-    const key = (r.room_type || '').trim();
-    if (!key || seen.has(key)) continue;
-    seen.add(key);
-    firstPriceByType.push(r);
-  }
+  // Agrupar tarifas por tipo de habitación (room_type/price = tarifa más baja)
+  const rooms = roomsFromRates(roomData, { currency });
 
-  console.log(`🏠 Tipos únicos encontrados: ${firstPriceByType.length}`);
-  firstPriceByType.forEach(room => {
-    console.log(`   🏨 ${room.room_type}: ${room.price}`);
+  console.log(`🏠 Tipos únicos encontrados: ${rooms.length}`);
+  rooms.forEach(room => {
+    console.log(`   🏨 ${room.room_type}: ${room.price} (${room.rates.length} tarifas)`);
   });
   
-  if (firstPriceByType.length > 0) {
+  if (rooms.length > 0) {
     await browser.close();
-    return [{ date: checkin, rooms: firstPriceByType }];
+    return [{ date: checkin, checkout, los: 1, adults: 1, rooms }];
   }
   
   console.log('⚠️  Sin disponibilidad para hoy. Reintentando con fechas futuras...');
@@ -445,53 +309,13 @@ async function scrapeBookingPrices(hotelName, { locale = 'en-us', currency = 'MX
       await page.goto(u2.toString(), { waitUntil: 'domcontentloaded', timeout: 60000 })
       await page.waitForSelector('#hprt-table, .hprt-table, [data-testid*="RoomRow"], .bui-price-display__value', { timeout: 15000 }).catch(() => {})
 
-      let retryData = await page.evaluate(() => {
-        const out = []
-        const seen = new Set()
-        const table = document.querySelector('#hprt-table, .hprt-table')
-        if (table) {
-          table.querySelectorAll('tr').forEach((row) => {
-            const cells = row.querySelectorAll('td, th')
-            if (cells.length < 2) return
-            const nameRaw = cells[0]?.textContent?.trim() || ''
-            const name = nameRaw.replace(/\s+/g, ' ').trim()
-            if (!name || seen.has(name)) return
-            let price = null
-            for (let i = cells.length-1; i>=0; i--) {
-              const t = cells[i]?.textContent?.trim() || ''
-              const m = t.match(/(MXN\s*\$?|\$|USD|EUR)\s*[\d.,]+/)
-              if (m) { price = m[0]; break }
-            }
-            if (price) { seen.add(name); out.push({ room_type: name, price }) }
-          })
-        }
-        if (out.length === 0) {
-          const getRoomTypeNear = (el) => {
-            const container = el.closest('tr, .hprt-table, .room, .sr_item, section, article, div') || document
-            const sels = ['.hprt-roomtype-icon-link','.hprt-roomtype-name','span.hprt-roomtype-room','[data-room-name]','.sr-room__name','.roomName','h3','h2','th','td']
-            for (const s of sels) { const c = container.querySelector(s); const tx = c?.textContent?.trim(); if (tx && tx.length>3) return tx.replace(/\s+/g,' ').trim() }
-            const row = el.closest('tr'); if (row && row.children?.length>0) { const tx = row.children[0]?.textContent?.trim(); if (tx && tx.length>3) return tx.replace(/\s+/g,' ').trim() }
-            return ''
-          }
-          document.querySelectorAll('[data-testid*="RoomRow"], [data-testid*="price"], .bui-price-display__value, .prco-valign-middle-helper').forEach((el)=>{
-            const t = el.textContent?.trim() || ''
-            const m = t.match(/(MXN\s*\$?|\$|USD|EUR)\s*[\d.,]+/)
-            if (!m) return
-            const name = getRoomTypeNear(el)
-            if (!name || seen.has(name)) return
-            seen.add(name); out.push({ room_type: name, price: m[0] })
-          })
-        }
-        return out
-      })
-
-      const unique = []
-      const used = new Set()
-      for (const r of retryData) { const k = (r.room_type||'').trim(); if (!k || used.has(k)) continue; used.add(k); unique.push(r) }
+      const retryData = await page.evaluate(extractRoomRows, { pattern: PRICE_PATTERN })
+
+      const unique = roomsFromRates(retryData, { currency })
       console.log(`🔁 ${ci}: tipos únicos ${unique.length}`)
       if (unique.length > 0) {
         await browser.close()
-        return [{ date: ci, rooms: unique }]
+        return [{ date: ci, checkout: co, los: 1, adults: 1, rooms: unique }]
       }
     } catch {}
   }
@@ -501,12 +325,119 @@ async function scrapeBookingPrices(hotelName, { locale = 'en-us', currency = 'MX
   return [];
 }
 
+// Se ejecuta dentro de la página de resultados de búsqueda: { name, city, url, thumbnail } de cada tarjeta
+function extractSearchCandidates() {
+  const clean = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim()
+  const out = []
+  document.querySelectorAll('[data-testid="property-card"], .sr_property_block, .sr_item').forEach((card) => {
+    const link = card.querySelector('a[data-testid="title-link"], a[href*="/hotel/"]')
+    if (!link?.href) return
+    out.push({
+      name: clean(card.querySelector('[data-testid="title"], .sr-hotel__name')) || clean(link),
+      city: clean(card.querySelector('[data-testid="address"], .sr_card_address_line, .address')) || null,
+      url: link.href,
+      thumbnail: card.querySelector('img[data-testid="image"], img')?.src || null
+    })
+  })
+  // Sin tarjetas reconocibles: cualquier enlace a una ficha
+  if (out.length === 0) {
+    document.querySelectorAll('a[href*="/hotel/"]').forEach((a) => out.push({ name: clean(a), city: null, url: a.href, thumbnail: null }))
+  }
+  return out
+}
+
+// Candidatos de Booking para un nombre de hotel (POST /hotel/resolve), mejor puntuados primero
+async function findHotelCandidates(hotelName, { city = null, limit = 5, headless = true, currency = 'MXN' } = {}) {
+  const browser = await launchBrowser({ headless, args: ['--no-sandbox', '--disable-setuid-sandbox', '--disable-blink-features=AutomationControlled', '--disable-dev-shm-usage'] })
+  activeBrowsers.add(browser)
+  try {
+    const page = await browser.newPage({ userAgent: getRandomUA(), locale: 'es-ES' })
+    // La ciudad ayuda a Booking a acotar la búsqueda
+    const query = encodeURIComponent(city ? `${hotelName}, ${city}` : hotelName)
+    await page.goto(`https://www.booking.com/searchresults.html?lang=en-us&selected_currency=${currency}&ss=${query}`, { waitUntil: 'domcontentloaded', timeout: 90000 })
+    await page.waitForSelector('[data-testid="property-card"], .sr_item', { timeout: 15000 }).catch(() => {})
+    const candidates = rankCandidates(hotelName, await page.evaluate(extractSearchCandidates), { city, limit })
+    console.log(`🔎 ${candidates.length} candidatos para "${hotelName}"`)
+    return candidates
+  } finally {
+    await browser.close().catch(() => {})
+  }
+}
+
+// Entrada y salida (YYYY-MM-DD) de una estancia de `los` noches a `offset` días de `today`
+function stayDates(today, offset, los = 1) {
+  const checkin = new Date(today.getTime() + offset*86400000)
+  const checkout = new Date(checkin.getTime() + los*86400000)
+  return { ci: checkin.toISOString().split('T')[0], co: checkout.toISOString().split('T')[0] }
+}
+
+// Tope de páginas abiertas a la vez en un navegador (el server también limita `concurrency` a 5)
+const MAX_PAGES = 5
+
+// Orden de salida: fecha de entrada, noches y adultos
+const byStay = (a, b) => a.date.localeCompare(b.date) || (a.los ?? 1) - (b.los ?? 1) || (a.adults ?? 1) - (b.adults ?? 1)
+
+// Combinaciones noches × adultos de la matriz pedida (--los, --adults)
+function stayMatrix(lengthsOfStay = [1], adults = [1]) {
+  return lengthsOfStay.flatMap(los => adults.map(a => ({ los, adults: a })))
+}
+
+// ¿Es la URL de la ficha de un hotel en Booking (en lugar de un nombre a buscar)?
+function isBookingHotelUrl(value) {
+  try {
+    const u = new URL(value)
+    return /(^|\.)booking\.com$/.test(u.hostname) && u.pathname.startsWith('/hotel/')
+  } catch { return false }
+}
+
+// URL base de la ficha del hotel con 1 adulto y la moneda pedida: la URL recibida o el resultado
+// mejor puntuado al buscar el nombre. null si la búsqueda no devuelve resultados.
+async function resolveHotelUrl(page, hotel, { currency = 'MXN', today = new Date() } = {}) {
+  let baseUrl = hotel
+  if (!isBookingHotelUrl(hotel)) {
+    const tomorrow = new Date(today); tomorrow.setDate(today.getDate() + 1)
+    const encodedHotelName = encodeURIComponent(hotel)
+    const searchUrl = `https://www.booking.com/searchresults.html?lang=en-us&selected_currency=${currency}&checkin=${today.toISOString().split('T')[0]}&checkout=${tomorrow.toISOString().split('T')[0]}&ss=${encodedHotelName}`
+    await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 90000 })
+    await page.waitForSelector('[data-testid*="property"], .sr_item', { timeout: 15000 }).catch(() => {})
+    const href = rankCandidates(hotel, await page.evaluate(extractSearchCandidates))[0]?.url
+    if (!href) return null
+    await page.goto(href, { waitUntil: 'domcontentloaded', timeout: 90000 })
+    baseUrl = page.url()
+  }
+  // Asegurar parámetros de adultos/moneda en base URL
+  try {
+    const u = new URL(baseUrl)
+    u.searchParams.set('group_adults', '1')
+    u.searchParams.set('req_adults', '1')
+    u.searchParams.set('no_rooms', '1')
+    u.searchParams.set('selected_currency', currency)
+    baseUrl = u.toString()
+  } catch {}
+  return baseUrl
+}
+
+// Habitaciones con todas sus tarifas para una estancia en la ficha `baseUrl` (lanza si la página no carga)
+async function scrapeDateRooms(p, baseUrl, ci, co, adults = 1) {
+  const u = new URL(baseUrl)
+  u.searchParams.set('checkin', ci)
+  u.searchParams.set('checkout', co)
+  u.searchParams.set('group_adults', String(adults))
+  u.searchParams.set('req_adults', String(adults))
+  await p.goto(u.toString(), { waitUntil: 'domcontentloaded', timeout: 90000 })
+  await p.waitForSelector('#hprt-table, .hprt-table, [data-testid*="RoomRow"], .bui-price-display__value', { timeout: 15000 }).catch(() => {})
+  const dayRooms = await p.evaluate(extractRoomRows, { pattern: PRICE_PATTERN })
+  return roomsFromRates(dayRooms, { currency: u.searchParams.get('selected_currency') || 'MXN' })
+}
+
 // --- Scraper para múltiples fechas con concurrencia ---
-async function scrapeMultipleDates(hotelName, userId, { days = 90, concurrency = 5, headless = true } = {}) {
+// Cada fecha de entrada se consulta para todas las combinaciones de noches (`lengthsOfStay`) y adultos.
+async function scrapeMultipleDates(hotelName, userId, { days = 90, concurrency = 5, headless = true, lengthsOfStay = [1], adults = [1], hotelUrl = null } = {}) {
   console.log(`📅 Iniciando scraping para ${days} días con concurrencia de ${concurrency}`)
+  const matrix = stayMatrix(lengthsOfStay, adults)
 
   const userAgent = getRandomUA()
-  const browser = await chromium.launch({
+  const browser = await launchBrowser({
     headless,
     args: [
       '--no-sandbox',
@@ -516,6 +447,7 @@ async function scrapeMultipleDates(hotelName, userId, { days = 90, concurrency =
       '--disable-dev-shm-usage'
     ]
   })
+  activeBrowsers.add(browser)
   const context = await browser.newContext({
     userAgent,
     viewport: { width: 1366, height: 768 },
@@ -524,120 +456,123 @@ async function scrapeMultipleDates(hotelName, userId, { days = 90, concurrency =
   })
   const page = await context.newPage()
 
-  // 1) Abrir búsqueda y entrar al primer resultado como en .py
+  // 1) Ficha fijada (--url) o búsqueda del nombre y su mejor resultado
   const today = new Date()
-  const tomorrow = new Date(today); tomorrow.setDate(today.getDate() + 1)
-  const encodedHotelName = encodeURIComponent(hotelName)
-  const searchUrl = `https://www.booking.com/searchresults.html?lang=en-us&selected_currency=MXN&checkin=${today.toISOString().split('T')[0]}&checkout=${tomorrow.toISOString().split('T')[0]}&ss=${encodedHotelName}`
-  await page.goto(searchUrl, { waitUntil: 'domcontentloaded', timeout: 90000 })
-  await page.waitForSelector('[data-testid*="property"], .sr_item', { timeout: 15000 }).catch(() => {})
-  const firstSel = '[data-testid="property-card"] a[data-testid="title"], [data-testid="property-card"] a, a[data-testid*="property"], .sr_property_block a, .sr_item a'
-  const href = await page.evaluate((sel) => { const a = document.querySelector(sel); return a && a.href ? a.href : null }, firstSel)
-  if (!href) { await browser.close(); return [] }
-  await page.goto(href, { waitUntil: 'domcontentloaded', timeout: 90000 })
-
-  let baseUrl = page.url()
-  // Asegurar parámetros de adultos/dates en base URL
-  try {
-    const u = new URL(baseUrl)
-    u.searchParams.set('group_adults', '1')
-    u.searchParams.set('req_adults', '1')
-    u.searchParams.set('no_rooms', '1')
-    baseUrl = u.toString()
-  } catch {}
+  const baseUrl = await resolveHotelUrl(page, hotelUrl || hotelName, { today })
+  if (!baseUrl) { await browser.close(); return [] }
 
-  // 2) Crear páginas concurrentes y procesar rangos como en .py
-  const dateRanges = [ [0, Math.min(30, days-1)], [31, Math.min(60, days-1)], [61, Math.min(90, days-1)] ].filter(([a,b]) => a <= b)
-  const CONCURRENT_TASKS = Math.min(concurrency, 5)
+  // 2) Cola de fechas × estancias: `concurrency` páginas toman la siguiente al terminar la anterior
+  const tasks = Array.from({ length: days }, (_, offset) => matrix.map(stay => ({ offset, ...stay }))).flat()
+  const pages = Math.min(concurrency, MAX_PAGES)
   const results = []
-
-  const processRange = async (start, end) => {
-    const p = await browser.newPage({ userAgent: getRandomUA() })
-    const rangeResults = []
-    for (let offset = start; offset <= end; offset++) {
-      if (shouldStop(userId)) { break }
-      const checkin = new Date(today.getTime() + offset*86400000)
-      const checkout = new Date(checkin.getTime() + 86400000)
-      const ci = checkin.toISOString().split('T')[0]
-      const co = checkout.toISOString().split('T')[0]
-      let newUrl = baseUrl.replace(/checkin=\d{4}-\d{2}-\d{2}/, `checkin=${ci}`).replace(/checkout=\d{4}-\d{2}-\d{2}/, `checkout=${co}`)
-      if (!/checkin=/.test(newUrl)) newUrl += (newUrl.includes('?') ? '&' : '?') + `checkin=${ci}`
-      if (!/checkout=/.test(newUrl)) newUrl += (newUrl.includes('?') ? '&' : '?') + `checkout=${co}`
-      try {
-        await p.goto(newUrl, { waitUntil: 'domcontentloaded', timeout: 90000 })
-        await p.waitForSelector('#hprt-table, .hprt-table, [data-testid*="RoomRow"], .bui-price-display__value', { timeout: 15000 }).catch(() => {})
-        let dayRooms = await p.evaluate(() => {
-          const out = []
-          const seen = new Set()
-          const table = document.querySelector('#hprt-table, .hprt-table')
-          if (table) {
-            table.querySelectorAll('tr').forEach((row) => {
-              const cells = row.querySelectorAll('td, th')
-              if (cells.length < 2) return
-              // Nombre explícito en .hprt-roomtype-icon-link
-              let nameRaw = ''
-              const nameEl = cells[0].querySelector('.hprt-roomtype-icon-link, .hprt-roomtype-name, span.hprt-roomtype-room, a.hprt-roomtype-link, strong, h3, h2')
-              if (nameEl && nameEl.textContent) {
-                nameRaw = nameEl.textContent.trim()
-              } else {
-                nameRaw = cells[0]?.textContent?.trim() || ''
-              }
-              const name = nameRaw.replace(/\s+/g, ' ').trim()
-              if (!name || seen.has(name)) return
-              let price = null
-              const priceEl = row.querySelector('.prco-valign-middle-helper')
-              if (priceEl && priceEl.textContent) {
-                const m = priceEl.textContent.trim().match(/(MXN\s*\$?|\$|USD|EUR)\s*[\d.,]+/)
-                if (m) price = m[0]
-              }
-              if (!price) {
-                for (let i = cells.length-1; i>=0; i--) {
-                  const t = cells[i]?.textContent?.trim() || ''
-                  const m = t.match(/(MXN\s*\$?|\$|USD|EUR)\s*[\d.,]+/)
-                  if (m) { price = m[0]; break }
-                }
-              }
-              if (price) { seen.add(name); out.push({ room_type: name, price }) }
-            })
-          }
-          if (out.length === 0) {
-            const getRoomTypeNear = (el) => {
-              const container = el.closest('tr, .hprt-table, .room, .sr_item, section, article, div') || document
-              const sels = ['.hprt-roomtype-icon-link','.hprt-roomtype-name','span.hprt-roomtype-room','[data-room-name]','.sr-room__name','.roomName','h3','h2','th','td']
-              for (const s of sels) { const c = container.querySelector(s); const tx = c?.textContent?.trim(); if (tx && tx.length>3) return tx.replace(/\s+/g,' ').trim() }
-              const row = el.closest('tr'); if (row && row.children?.length>0) { const tx = row.children[0]?.textContent?.trim(); if (tx && tx.length>3) return tx.replace(/\s+/g,' ').trim() }
-              return ''
-            }
-            document.querySelectorAll('[data-testid*="RoomRow"], [data-testid*="price"], .bui-price-display__value, .prco-valign-middle-helper').forEach((el)=>{
-              const t = el.textContent?.trim() || ''
-              const m = t.match(/(MXN\s*\$?|\$|USD|EUR)\s*[\d.,]+/)
-              if (!m) return
-              const name = getRoomTypeNear(el)
-              if (!name || seen.has(name)) return
-              seen.add(name); out.push({ room_type: name, price: m[0] })
-            })
-          }
-          return out
-        })
-        // Tomar primer precio por tipo
-        const unique = []
-        const used = new Set()
-        for (const r of dayRooms) { const k = (r.room_type||'').trim(); if (!k || used.has(k)) continue; used.add(k); unique.push(r) }
-        results.push({ date: ci, rooms: unique })
-      } catch (e) {
-        console.log(`❌ Error fecha ${ci}:`, e.message)
-        results.push({ date: ci, rooms: [] })
-      }
+  partialPayload = () => results.filter(d => Array.isArray(d?.rooms) && d.rooms.length > 0).sort(byStay)
+  const counters = { done: 0, total: tasks.length, failures: 0 }
+  protocol.progress({ ...counters })
+  console.log(`🧵 ${tasks.length} consultas en ${Math.min(pages, tasks.length)} páginas`)
+
+  await runQueue(tasks, { concurrency: pages, open: () => browser.newPage({ userAgent: getRandomUA() }), halted: () => shouldStop(userId) || draining }, async ({ offset, los, adults: a }, p) => {
+    const { ci, co } = stayDates(today, offset, los)
+    const stay = { date: ci, checkout: co, los, adults: a }
+    try {
+      const unique = await scrapeDateRooms(p, baseUrl, ci, co, a)
+      results.push({ ...stay, rooms: unique })
+      protocol.partial({ ...stay, rooms: unique })
+    } catch (e) {
+      console.log(`❌ Error fecha ${ci} (${los} noches, ${a} adultos):`, e.message)
+      results.push({ ...stay, rooms: [] })
+      counters.failures++
+      protocol.partial({ ...stay, rooms: [], error: e.message })
     }
-    await p.close()
-  }
+    counters.done++
+    protocol.progress({ ...counters })
+  })
+  await browser.close()
+  return results.sort(byStay)
+}
 
-  // Ejecutar rangos (hasta 3) en paralelo
-  if (!shouldStop(userId)) {
-    await Promise.all(dateRanges.map(([s,e]) => processRange(s,e)))
+// --- Lote de hoteles (competidores): un solo navegador y un presupuesto global de páginas ---
+// Primero se ubica la ficha de cada hotel y después se reparten todas las fechas de todos los
+// hoteles entre `concurrency` páginas. Solo lectura: no guarda en Supabase.
+async function scrapeHotelBatch(hotels, { days = 1, concurrency = 3, headless = true, currency = 'MXN' } = {}) {
+  console.log(`📦 Lote de ${hotels.length} hoteles, ${days} días, ${concurrency} páginas en paralelo`)
+  const entries = hotels.map(hotel => ({ hotel, url: null, data: [], failures: 0, error: null }))
+  const summary = () => entries.map(({ hotel, url, data, failures, error }) => {
+    const sorted = [...data].sort(byStay)
+    const count = sorted.reduce((acc, d) => acc + d.rooms.length, 0)
+    return { hotel, url, ok: count > 0, data: sorted, count, failures, error: error || (count > 0 ? null : 'no rooms found') }
+  })
+  partialPayload = summary
+
+  let browser
+  try {
+    browser = await launchBrowser({
+      headless,
+      args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-blink-features=AutomationControlled',
+        '--disable-web-security',
+        '--disable-dev-shm-usage'
+      ]
+    })
+  } catch (e) {
+    console.log('❌ No se pudo abrir el navegador:', e.message)
+    for (const entry of entries) entry.error = e.message
+    return summary()
   }
+  activeBrowsers.add(browser)
+  const context = await browser.newContext({
+    userAgent: getRandomUA(),
+    viewport: { width: 1366, height: 768 },
+    locale: 'es-ES',
+    extraHTTPHeaders: { 'accept-language': 'es-ES,es;q=0.9,en;q=0.8' }
+  })
+  const today = new Date()
+  const counters = { done: 0, total: hotels.length * days, failures: 0 }
+  protocol.progress({ ...counters })
+
+  // Reparte `tasks` entre páginas del mismo context; cada página toma la siguiente al terminar
+  const runOnPages = (tasks, fn) => runQueue(tasks, { concurrency: Math.min(concurrency, MAX_PAGES), open: () => context.newPage(), halted: () => cancelled || draining }, fn)
+
+  // 1) Ficha de cada hotel (URL directa o búsqueda por nombre)
+  await runOnPages(entries, async (entry, p) => {
+    try {
+      entry.url = await resolveHotelUrl(p, entry.hotel, { currency, today })
+    } catch (e) {
+      entry.error = e.message
+    }
+    if (!entry.url) {
+      entry.error = entry.error || 'hotel not found on Booking'
+      console.log(`❌ ${entry.hotel}: ${entry.error}`)
+      counters.done += days
+      counters.failures += days
+      protocol.partial({ hotel: entry.hotel, error: entry.error })
+      protocol.progress({ ...counters })
+    }
+  })
+
+  // 2) Todas las fechas de los hoteles encontrados
+  const tasks = entries.filter(e => e.url).flatMap(entry => Array.from({ length: days }, (_, offset) => ({ entry, offset })))
+  await runOnPages(tasks, async ({ entry, offset }, p) => {
+    const { ci, co } = stayDates(today, offset)
+    const stay = { date: ci, checkout: co, los: 1, adults: 1 }
+    try {
+      const rooms = await scrapeDateRooms(p, entry.url, ci, co)
+      entry.data.push({ ...stay, rooms })
+      protocol.partial({ hotel: entry.hotel, ...stay, rooms })
+    } catch (e) {
+      console.log(`❌ ${entry.hotel} ${ci}:`, e.message)
+      entry.data.push({ ...stay, rooms: [] })
+      entry.failures++
+      counters.failures++
+      protocol.partial({ hotel: entry.hotel, ...stay, rooms: [], error: e.message })
+    }
+    counters.done++
+    protocol.progress({ ...counters })
+  })
+
   await browser.close()
-  return results
+  return summary()
 }
 
 // --- Insertar en Supabase ---
@@ -664,17 +599,25 @@ async function insertUserHotelPrices(userId, hotelName, results, jwt = null) {
           hotel_name: hotelName,
           scrape_date: new Date().toISOString().split("T")[0],
           checkin_date: day.date,
+          length_of_stay: day.los ?? 1,
+          adults: day.adults ?? 1,
           room_type: room.room_type,
-          price: room.price
+          price: room.price,
+          price_amount: room.amount ?? null,
+          currency: room.currency ?? null,
+          taxes_and_fees: room.taxes_and_fees ?? null,
+          includes_taxes: room.includes_taxes ?? null,
+          rate_plans: room.rates ?? null
         }], {
-          onConflict: 'user_id,hotel_name,checkin_date,room_type'
+          onConflict: 'user_id,hotel_name,checkin_date,length_of_stay,adults,room_type'
         });
 
       if (error) {
         console.error("❌ Error upsertando:", error.message);
+        protocol.metric('supabase_upsert_errors_total');
       } else {
         totalInserted++;
-        console.log(`✅ ${day.date} - ${room.room_type} - ${room.price}`);
+        console.log(`✅ ${day.date} (${day.los ?? 1}n, ${day.adults ?? 1}a) - ${room.room_type} - ${room.price}`);
       }
     }
   }
@@ -682,57 +625,118 @@ async function insertUserHotelPrices(userId, hotelName, results, jwt = null) {
   console.log(`📊 Total procesados: ${totalInserted} (insertados/actualizados)`);
 }
 
-// --- CLI ---
-const args = process.argv.slice(2);
-
-if (args.length >= 2) {
+// --- CLI / worker thread: main(["<user_id>", "<hotel_name>", ...opciones]) ---
+export async function main(args) {
+  const batch = args.includes('--batch');
+  // --resolve "<nombre>": solo devuelve los candidatos de Booking, sin scrapear precios
+  const resolve = args.includes('--resolve');
+  // En modo lote todos los argumentos que no son opciones son hoteles (nombres o URLs de Booking)
+  const hotels = args.filter(arg => !arg.startsWith('-'));
+  if (batch || resolve ? hotels.length < 1 : args.length < 2) {
+    printUsage();
+    return;
+  }
   const userId = args[0];
   const hotelName = args[1];
   const headless = args.includes('--headless') || args.includes('-h');
-  const days = parseInt(args.find(arg => arg.startsWith('--days='))?.split('=')[1]) || 90;
-  const concurrency = parseInt(args.find(arg => arg.startsWith('--concurrency='))?.split('=')[1]) || 5;
-  
-  
-  (async () => {
+  // --no-save: solo devuelve los precios, sin upsert en Supabase
+  const save = !args.includes('--no-save');
+  const days = parseInt(args.find(arg => arg.startsWith('--days='))?.split('=')[1]) || (batch ? 1 : 90);
+  const concurrency = parseInt(args.find(arg => arg.startsWith('--concurrency='))?.split('=')[1]) || (batch ? 3 : 5);
+  const currency = args.find(arg => arg.startsWith('--currency='))?.split('=')[1] || 'MXN';
+  // --los=1,2,7 y --adults=1,2: matriz de estancias (noches × adultos) por fecha de entrada
+  const listArg = (name) => {
+    const values = (args.find(arg => arg.startsWith(`--${name}=`))?.split('=')[1] || '1').split(',').map(n => parseInt(n)).filter(n => n > 0);
+    return values.length ? [...new Set(values)].sort((a, b) => a - b) : [1];
+  };
+  const lengthsOfStay = listArg('los');
+  const adults = listArg('adults');
+  const singleStay = lengthsOfStay.length === 1 && lengthsOfStay[0] === 1 && adults.length === 1 && adults[0] === 1;
+  // --url=<ficha de Booking>: hotel fijado, sin búsqueda por nombre
+  const hotelUrl = args.find(arg => arg.startsWith('--url='))?.slice('--url='.length) || null;
+
+  if (resolve) {
+    const city = args.find(arg => arg.startsWith('--city='))?.slice('--city='.length) || null;
+    const limit = parseInt(args.find(arg => arg.startsWith('--limit='))?.split('=')[1]) || 5;
     try {
-      if (days === 1) {
-        // Modo de prueba: solo un día
-        const prices = await scrapeBookingPrices(hotelName, { headless });
-        if (!Array.isArray(prices)) {
-          console.log(JSON.stringify([]));
-          return;
-        }
-        if (!shouldStop(userId)) {
-          await insertUserHotelPrices(userId, hotelName, prices);
-        }
-        console.log(JSON.stringify(prices));
-      } else {
-        // Modo completo: múltiples días con concurrencia
-        const prices = await scrapeMultipleDates(hotelName, userId, { days, concurrency, headless });
-        if (!Array.isArray(prices)) {
-          console.log(JSON.stringify([]));
-          return;
-        }
-        if (!shouldStop(userId)) {
-          await insertUserHotelPrices(userId, hotelName, prices);
-        }
-        console.log(JSON.stringify(prices));
-      }
+      protocol.result(await findHotelCandidates(hotels[0], { city, limit, headless, currency }));
     } catch (error) {
       console.error('❌ Error:', error.message);
-      try { console.log(JSON.stringify([])); } catch {}
+      protocol.log('error', error.message);
+      protocol.result([]);
     }
-  })();
-} else {
+    return;
+  }
+
+  if (batch) {
+    try {
+      protocol.result(await scrapeHotelBatch(hotels, { days, concurrency, headless, currency }));
+    } catch (error) {
+      console.error('❌ Error:', error.message);
+      protocol.log('error', error.message);
+      protocol.result(partialPayload());
+    }
+    return;
+  }
+
+  try {
+    if (days === 1 && singleStay) {
+      // Modo de prueba: solo un día
+      protocol.progress({ done: 0, total: 1, failures: 0 });
+      const prices = await scrapeBookingPrices(hotelName, { headless, hotelUrl });
+      if (!Array.isArray(prices)) {
+        protocol.result([]);
+        return;
+      }
+      for (const day of prices) protocol.partial(day);
+      protocol.progress({ done: 1, total: 1, failures: prices.length ? 0 : 1 });
+      if (save && !shouldStop(userId)) {
+        await insertUserHotelPrices(userId, hotelName, prices);
+      }
+      protocol.result(prices);
+    } else {
+      // Modo completo: múltiples días con concurrencia
+      const prices = await scrapeMultipleDates(hotelName, userId, { days, concurrency, headless, lengthsOfStay, adults, hotelUrl });
+      if (!Array.isArray(prices)) {
+        protocol.result([]);
+        return;
+      }
+      if (save && !shouldStop(userId)) {
+        await insertUserHotelPrices(userId, hotelName, prices);
+      }
+      protocol.result(prices);
+    }
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+    protocol.log('error', error.message);
+    try { protocol.result([]); } catch {}
+  }
+}
+
+function printUsage() {
   console.log("Uso: node hotel_propio.js <user_id> <hotel_name> [opciones]");
   console.log("");
   console.log("Opciones:");
   console.log("  --headless, -h          Ejecutar en modo headless (sin interfaz gráfica)");
   console.log("  --days=N                Número de días a scrapear (default: 90)");
   console.log("  --concurrency=N         Número de procesos concurrentes (default: 5)");
+  console.log("  --no-save               No guardar los precios en Supabase");
+  console.log("  --los=1,2,7             Noches por estancia (default: 1)");
+  console.log("  --adults=1,2            Adultos por habitación (default: 1)");
+  console.log("  --url=<url>             Ficha de Booking del hotel (sin buscar por nombre)");
+  console.log("");
+  console.log("Lote (solo lectura): node hotel_propio.js --batch <hotel_o_url> [<hotel_o_url> ...] [opciones]");
+  console.log("  --days=N                Días por hotel (default: 1)");
+  console.log("  --concurrency=N         Páginas en paralelo para todo el lote (default: 3)");
+  console.log("  --currency=MXN|USD|EUR  Moneda de los precios (default: MXN)");
+  console.log("");
+  console.log("Candidatos: node hotel_propio.js --resolve <hotel_name> [--city=Tijuana] [--limit=5]");
   console.log("");
   console.log("Ejemplos:");
   console.log("  node hotel_propio.js fdf47d6e-8d96-4374-9651-64f42bbe6488 \"Hilton Mexico City\"");
   console.log("  node hotel_propio.js fdf47d6e-8d96-4374-9651-64f42bbe6488 \"Hilton Mexico City\" --headless");
   console.log("  node hotel_propio.js fdf47d6e-8d96-4374-9651-64f42bbe6488 \"Hilton Mexico City\" --days=30 --concurrency=3");
+  console.log("  node hotel_propio.js --batch \"Hilton Mexico City\" \"https://www.booking.com/hotel/mx/camino-real-polanco.html\" --days=7 --currency=USD");
 }
+
+if (isCli(import.meta.url)) main(process.argv.slice(2));
@@ -0,0 +1,36 @@
+import { chromium } from 'playwright';
+import { parentPort, workerData } from 'node:worker_threads';
+import { inWorker } from './runtime.js';
+
+// Chromium para un scraper. En un worker thread del server se pide un navegador al pool
+// (server/browserPool.js) y se conecta por websocket: los contexts que cree el script se
+// cierran al desconectarse (browser.close()), sin apagar el navegador compartido.
+// Por CLI se lanza un Chromium propio con `options`.
+const usePool = inWorker && !!workerData?.browserPool;
+const pending = new Map(); // id → { resolve, reject }
+let nextRequest = 1;
+
+if (usePool) {
+  parentPort.on('message', (msg) => {
+    if (msg?.type !== 'browser' || !pending.has(msg.id)) return;
+    const { resolve, reject } = pending.get(msg.id);
+    pending.delete(msg.id);
+    if (msg.error) reject(new Error(msg.error));
+    else resolve(msg.endpoint);
+  });
+}
+
+function requestPooledBrowser() {
+  return new Promise((resolve, reject) => {
+    const id = nextRequest++;
+    pending.set(id, { resolve, reject });
+    parentPort.postMessage({ type: 'browser', id });
+  });
+}
+
+// En el pool los navegadores siempre son headless: `headless`, `slowMo` y `args` solo aplican por CLI
+export async function launchBrowser(options = {}) {
+  if (!usePool) return chromium.launch(options);
+  const endpoint = await requestPooledBrowser();
+  return chromium.connect(endpoint, { timeout: options.timeout });
+}
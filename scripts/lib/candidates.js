@@ -0,0 +1,56 @@
+// Identificación de la ficha de Booking de un hotel a partir de su nombre: puntuación de los
+// resultados de búsqueda ({ name, city, url, thumbnail }) contra el nombre pedido y, si se da, la ciudad.
+
+// "Hôtel Camino-Real  Polanco" → ['hotel', 'camino', 'real', 'polanco']
+function words(text) {
+  return String(text || '')
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length > 1);
+}
+
+// Id estable de una ficha: "mx/grand-hotel-tijuana" para https://www.booking.com/hotel/mx/grand-hotel-tijuana.es.html?…
+export function bookingPropertyId(url) {
+  try {
+    const m = new URL(url).pathname.match(/^\/hotel\/([a-z]{2})\/([a-z0-9-]+?)(\.[a-z-]+)?\.html$/i);
+    return m ? `${m[1].toLowerCase()}/${m[2].toLowerCase()}` : null;
+  } catch {
+    return null;
+  }
+}
+
+// 0–1: cuántas palabras del nombre pedido aparecen en el del resultado (pesa más) y cuántas del
+// resultado sobran. La ciudad suma si coincide y resta si no; sin `city` no influye.
+export function scoreCandidate(query, candidate, { city = null } = {}) {
+  const wanted = [...new Set(words(query))];
+  const found = new Set(words(candidate.name));
+  if (!wanted.length || !found.size) return 0;
+  const shared = wanted.filter(w => found.has(w)).length;
+  let score = 0.7 * (shared / wanted.length) + 0.3 * (shared / found.size);
+  if (city) {
+    const place = new Set(words(`${candidate.city || ''} ${candidate.url || ''}`));
+    score += words(city).every(w => place.has(w)) ? 0.2 : -0.2;
+  }
+  return Math.round(Math.max(0, Math.min(1, score)) * 100) / 100;
+}
+
+// Resultados únicos por ficha, de mayor a menor puntuación (empates: orden de Booking)
+export function rankCandidates(query, candidates, { city = null, limit = 10 } = {}) {
+  const seen = new Set();
+  const ranked = [];
+  for (const candidate of candidates) {
+    const propertyId = bookingPropertyId(candidate.url);
+    if (!propertyId || seen.has(propertyId)) continue;
+    seen.add(propertyId);
+    ranked.push({
+      name: candidate.name,
+      city: candidate.city || null,
+      url: `https://www.booking.com/hotel/${propertyId}.html`,
+      propertyId,
+      thumbnail: candidate.thumbnail || null,
+      score: scoreCandidate(query, candidate, { city }),
+    });
+  }
+  return ranked.sort((a, b) => b.score - a.score).slice(0, limit);
+}
@@ -0,0 +1,71 @@
+// Precios de Booking como números: "MXN 1,234", "US$1,234.50", "€ 1.234,50", "1.234 €".
+// Los scrapers piden `lang=en-us` con `selected_currency` y el navegador usa locale es-ES, así que
+// pueden aparecer ambos formatos de miles/decimales. Un `$` solo es la moneda pedida (MXN o USD).
+
+// Monto: miles con espacio ("1 234", también NBSP y espacio fino) o dígitos con . y ,
+const NUMBER = '\\d{1,3}(?:[ \\u00a0\\u202f]\\d{3})+(?:[.,]\\d{1,2})?(?!\\d)|\\d(?:[\\d.,]*\\d)?';
+// Símbolo o código antes del monto: "MXN 1,234", "US$1,234.50", "€ 1.234,50"
+export const PRICE_PREFIX = `(?:MXN\\s*\\$?|MX\\$|US\\$|USD|EUR|€|\\$)\\s*(?:${NUMBER})`;
+// Código después: "1.234 €". El número debe empezar una palabra y no puede ir seguido de otro
+// monto ("Max. people: 2 MXN 1,234" es la ocupación seguida del precio con prefijo)
+export const PRICE_SUFFIX = `(?<![\\w.,])(?:${NUMBER})\\s*(?:€|EUR|MXN|USD)(?!\\s*\\$?\\s*\\d)`;
+// Cualquiera de las dos. Se usa tal cual dentro de page.evaluate
+// (pasar `PRICE_PATTERN` como argumento y construir el RegExp allí).
+export const PRICE_PATTERN = `${PRICE_PREFIX}|${PRICE_SUFFIX}`;
+
+const SYMBOLS = [
+  [/MX\$|MXN/, 'MXN'],
+  [/US\$|USD/, 'USD'],
+  [/€|EUR/, 'EUR'],
+];
+
+// "1,234" → 1234, "1.234,50" → 1234.5, "1,234.50" → 1234.5, "99.90" → 99.9.
+// Con un solo separador seguido de 3 dígitos se toma como miles (Booking no muestra milésimas).
+export function parseAmount(digits) {
+  const s = String(digits).replace(/[^\d.,]/g, '');
+  if (!/\d/.test(s)) return null;
+  const lastDot = s.lastIndexOf('.');
+  const lastComma = s.lastIndexOf(',');
+  let decimal = null;
+  if (lastDot >= 0 && lastComma >= 0) {
+    decimal = lastDot > lastComma ? '.' : ',';
+  } else if (lastDot >= 0 || lastComma >= 0) {
+    const sep = lastDot >= 0 ? '.' : ',';
+    const occurrences = s.split(sep).length - 1;
+    const fraction = s.length - s.lastIndexOf(sep) - 1;
+    if (occurrences === 1 && fraction !== 3) decimal = sep;
+  }
+  if (!decimal) return Number(s.replace(/[.,]/g, ''));
+  const i = s.lastIndexOf(decimal);
+  return Number(`${s.slice(0, i).replace(/[.,]/g, '')}.${s.slice(i + 1)}`);
+}
+
+// { amount, currency, raw } del primer precio en `text` (con prefijo si hay alguno), o null si no hay ninguno.
+// `currency`: moneda pedida a Booking, para resolver un `$` sin código.
+export function parsePrice(text, { currency = 'MXN' } = {}) {
+  const t = String(text || '');
+  const match = t.match(new RegExp(PRICE_PREFIX)) || t.match(new RegExp(PRICE_SUFFIX));
+  if (!match) return null;
+  const raw = match[0].trim();
+  const code = SYMBOLS.find(([pattern]) => pattern.test(raw))?.[1] || currency;
+  return { amount: parseAmount(raw), currency: code, raw };
+}
+
+// Texto de impuestos bajo el precio: "+MXN 234 taxes and charges", "Includes taxes and charges",
+// "Incluye impuestos y cargos". Devuelve { taxes_and_fees, includes_taxes } o null si no se reconoce.
+export function parseTaxes(text, { currency = 'MXN' } = {}) {
+  const t = String(text || '').replace(/\s+/g, ' ').trim();
+  if (!/(tax|impuesto|charge|cargo|fee)/i.test(t)) return null;
+  const included = /(includ|incluy)/i.test(t) && !/(exclud|no incluy|not includ)/i.test(t);
+  const amount = parsePrice(t, { currency })?.amount ?? null;
+  return { taxes_and_fees: included ? amount ?? 0 : amount, includes_taxes: included };
+}
+
+// Habitación extraída ({ room_type, price, taxes? }) con sus montos estructurados.
+// `price` se conserva como texto; `taxes_and_fees`/`includes_taxes` solo si Booking los muestra.
+export function structureRoom({ taxes, ...room }, { currency = 'MXN' } = {}) {
+  const parsed = parsePrice(room.price, { currency });
+  const out = { ...room, amount: parsed?.amount ?? null, currency: parsed?.currency ?? currency, raw: parsed?.raw ?? room.price ?? null };
+  const taxInfo = taxes ? parseTaxes(taxes, { currency: out.currency }) : null;
+  return taxInfo ? { ...out, ...taxInfo } : out;
+}
@@ -0,0 +1,50 @@
+import fs from 'fs';
+import { parentPort } from 'node:worker_threads';
+import { inWorker } from './runtime.js';
+
+// Canal estructurado script → server: una línea NDJSON por mensaje en el fd que
+// indica WORKER_PROTOCOL_FD (runNodeScript abre el fd 3), o postMessage dentro de un
+// worker thread del server. Tipos: log, progress, partial, result, metric.
+// Sin canal (ejecución manual por CLI) los mensajes se omiten y `result` se imprime por stdout.
+const FD = Number(process.env.WORKER_PROTOCOL_FD || 0);
+// x-request-id de la petición que lanzó el script (vacío por CLI)
+export const requestId = process.env.REQUEST_ID || null;
+
+export function hasChannel() {
+  return inWorker || FD > 2;
+}
+
+export function send(type, payload = {}) {
+  if (!hasChannel()) return false;
+  try {
+    const message = { type, ts: Date.now(), ...(requestId ? { requestId } : {}), ...payload };
+    if (inWorker) parentPort.postMessage(message);
+    // writeSync: el mensaje queda escrito aunque el script llame a process.exit justo después
+    else fs.writeSync(FD, JSON.stringify(message) + '\n');
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export function log(level, msg, extra = {}) {
+  return send('log', { level, msg: String(msg), ...extra });
+}
+
+export function progress(counters) {
+  return send('progress', { data: counters });
+}
+
+export function partial(data) {
+  return send('partial', { data });
+}
+
+// Incrementa un contador del server (ver scriptCounters en server/metrics.js)
+export function metric(name, value = 1) {
+  return send('metric', { name, value });
+}
+
+// Resultado final del script (el envelope `data` de la ruta)
+export function result(data) {
+  if (!send('result', { data })) console.log(JSON.stringify(data));
+}
@@ -0,0 +1,21 @@
+// Cola de trabajo compartida por `concurrency` workers: cada uno toma la siguiente tarea al terminar
+// la anterior, así una tarea lenta no retiene al resto. `open()` da a cada worker su recurso (p. ej. una
+// página de Playwright), que se cierra al acabar. Con `halted()` true los workers dejan de tomar tareas
+// (la que está en curso termina). Devuelve cuántas tareas se procesaron.
+export async function runQueue(tasks, { concurrency = 1, open = async () => null, halted = () => false } = {}, fn) {
+  const queue = [...tasks];
+  let processed = 0;
+  const worker = async () => {
+    const resource = await open();
+    try {
+      while (queue.length && !halted()) {
+        await fn(queue.shift(), resource);
+        processed++;
+      }
+    } finally {
+      await resource?.close?.().catch(() => {});
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(0, Math.min(concurrency, queue.length)) }, worker));
+  return processed;
+}
@@ -0,0 +1,70 @@
+import { structureRoom } from './price.js';
+
+// Tarifas de Booking: cada fila de #hprt-table es un plan de tarifa de un tipo de habitación
+// (cancelación, régimen de comidas, ocupación máxima, escasez). Los textos llegan crudos desde
+// la página (inglés con lang=en-us, a veces español) y aquí se clasifican.
+
+const NON_REFUNDABLE = /(non-refundable|not refundable|no reembolsable)/i;
+const FREE_CANCELLATION = /(free cancellation|cancelación gratis|cancelación gratuita|cancelación sin coste)/i;
+const CANCELLATION = /(cancel|refund|reembols)/i;
+const CANCEL_UNTIL = /(?:before|until|antes del?|hasta(?: el)?)\s+(.+)$/i;
+
+// Régimen de comidas en orden de prioridad; el desayuno solo cuenta si está incluido
+const MEAL_PLANS = [
+  ['all_inclusive', /(all[- ]inclusive|todo incluido)/i],
+  ['full_board', /(full board|all meals|pensión completa)/i],
+  ['half_board', /(half board|media pensión)/i],
+  ['breakfast', /(breakfast|desayuno)[^.]*(includ|incluid)|(includ|incluid)[^.]*(breakfast|desayuno)/i],
+];
+
+// { cancellation, refundable, free_cancellation_until, meal_plan } a partir de las condiciones de la fila.
+// Sin condiciones (extracción genérica) todo queda null; con condiciones y sin comidas → 'room_only'.
+export function parseConditions(conditions = []) {
+  const texts = conditions.map(t => String(t).replace(/\s+/g, ' ').trim()).filter(Boolean);
+  const cancellation = texts.find(t => CANCELLATION.test(t)) || null;
+  const free = texts.find(t => FREE_CANCELLATION.test(t));
+  const refundable = texts.some(t => NON_REFUNDABLE.test(t)) ? false : free ? true : null;
+  const meal = MEAL_PLANS.find(([, pattern]) => texts.some(t => pattern.test(t)))?.[0];
+  return {
+    cancellation,
+    refundable,
+    free_cancellation_until: free ? CANCEL_UNTIL.exec(free)?.[1]?.trim() || null : null,
+    meal_plan: meal || (texts.length ? 'room_only' : null),
+  };
+}
+
+// "Max. people: 2" / "Número máximo de personas: 3" → 2 / 3
+export function parseOccupancy(text) {
+  const n = parseInt(String(text || '').match(/\d+/)?.[0], 10);
+  return Number.isFinite(n) ? n : null;
+}
+
+// Fila extraída ({ price, taxes?, occupancy?, conditions?, scarcity? }) → plan de tarifa estructurado
+export function structureRate({ room_type, source, occupancy, conditions = [], scarcity, ...rate }, { currency = 'MXN' } = {}) {
+  return {
+    ...structureRoom(rate, { currency }),
+    ...parseConditions(conditions),
+    max_occupancy: parseOccupancy(occupancy),
+    scarcity: scarcity ? String(scarcity).replace(/\s+/g, ' ').trim() : null,
+    conditions,
+  };
+}
+
+const SUMMARY_FIELDS = ['price', 'amount', 'currency', 'raw', 'taxes_and_fees', 'includes_taxes'];
+
+// Agrupa las filas por tipo de habitación (en orden de aparición). Cada habitación conserva
+// room_type/price como resumen de su tarifa más baja y la lista completa en `rates` (de menor a mayor).
+export function roomsFromRates(rows, { currency = 'MXN' } = {}) {
+  const byType = new Map();
+  for (const row of rows) {
+    const key = (row.room_type || '').trim();
+    if (!key) continue;
+    if (!byType.has(key)) byType.set(key, []);
+    byType.get(key).push(structureRate(row, { currency }));
+  }
+  return [...byType].map(([room_type, rates]) => {
+    rates.sort((a, b) => (a.amount ?? Infinity) - (b.amount ?? Infinity));
+    const lowest = Object.fromEntries(SUMMARY_FIELDS.filter(f => rates[0][f] !== undefined).map(f => [f, rates[0][f]]));
+    return { room_type, ...lowest, rates };
+  });
+}
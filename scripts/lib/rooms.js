@@ -0,0 +1,110 @@
+import { PRICE_PATTERN } from './price.js';
+import { roomsFromRates } from './rates.js';
+
+// Lector único de la tabla de habitaciones de una ficha de Booking, para el scraper y los fixtures.
+// Layouts: #hprt-table (una fila por tarifa; la celda del tipo abarca varias filas con rowspan),
+// bloques [data-testid*="RoomRow"] y, si no hay ninguno, precios sueltos con el nombre más cercano
+// (primer precio por tipo). Una ficha agotada devuelve [].
+
+// Filas crudas { room_type, price, taxes, occupancy, conditions, scarcity, source }.
+// Autocontenida: se pasa tal cual a page.evaluate(extractRoomRows, { pattern: PRICE_PATTERN })
+// y ahí lee `document`; en Node recibe `root` (un Document o Element de linkedom).
+export function extractRoomRows({ pattern, root = null } = {}) {
+  const doc = root || document;
+  const priceRe = new RegExp(pattern);
+  const clean = (el) => (el?.textContent || '').replace(/\s+/g, ' ').trim();
+  const NAME = '.hprt-roomtype-icon-link, .hprt-roomtype-name, span.hprt-roomtype-room, a.hprt-roomtype-link, [data-testid="room-name"], [data-room-name], .sr-room__name, .roomName, strong, h3, h2';
+  const PRICE = '.prco-valign-middle-helper, [data-testid="price-and-discounted-price"], .hprt-table-cell-price .bui-price-display__value, .bui-price-display__value';
+  const TAXES = '.prd-taxes-and-fees-under-price, [data-testid="taxes-and-charges"]';
+  const OCCUPANCY = '.hprt-table-cell-occupancy .bui-u-sr-only, .hprt-occupancy-occupancy-info .bui-u-sr-only, .hprt-table-cell-occupancy, [data-testid="occupancy"]';
+  const CONDITIONS = '.hprt-table-cell-conditions li, .hprt-conditions li, [data-testid="policies"] li, [data-testid*="condition"] li';
+  const SCARCITY = '.top_scarcity, .only_x_left, .hprt-roomtype-left-to-book, [data-testid="scarcity-message"]';
+  // Nombre sin textos de capacidad (Max. people, Only for x guest, etc.)
+  const roomName = (text) => String(text || '')
+    .split('\n')
+    .map(s => s.trim())
+    .filter(s => s && !/^(max\.|máx\.|max|solo|only|capacidad|occupancy)/i.test(s) && !/(people|personas|guests?|huéspedes)/i.test(s))
+    .join(' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+  const nameIn = (el) => {
+    const texts = [...el.querySelectorAll(NAME)].map(n => roomName(n.textContent)).filter(t => t.length > 3);
+    return texts[0] || '';
+  };
+  const priceIn = (el, skip = null) => {
+    const preferred = clean(el.querySelector(PRICE)).match(priceRe)?.[0];
+    if (preferred) return preferred;
+    for (const cell of el.querySelectorAll('td, th')) {
+      if (cell === skip) continue;
+      const m = clean(cell).match(priceRe);
+      if (m) return m[0];
+    }
+    return clean(el).match(priceRe)?.[0] || null;
+  };
+  // Condiciones, impuestos, ocupación y escasez de una fila de tarifa
+  const details = (row) => ({
+    taxes: clean(row.querySelector(TAXES)) || null,
+    occupancy: clean(row.querySelector(OCCUPANCY)) || null,
+    conditions: [...row.querySelectorAll(CONDITIONS)].map(clean).filter(Boolean),
+    scarcity: clean(row.querySelector(SCARCITY)) ||
+      clean(row).match(/(only \d+ (rooms? )?left[^.]*|(solo|sólo) (queda|quedan) \d+[^.]*)/i)?.[0] || null,
+  });
+
+  const out = [];
+  const table = doc.querySelector('#hprt-table, .hprt-table');
+  if (table) {
+    let current = '';
+    table.querySelectorAll('tr').forEach((row) => {
+      const cells = row.querySelectorAll('td, th');
+      if (cells.length < 2) return;
+      // Filas siguientes de un mismo tipo (rowspan): no traen la celda del nombre y heredan el último
+      const roomCell = row.querySelector('.hprt-table-cell-roomtype') || (cells[0].querySelector(NAME) || !current ? cells[0] : null);
+      if (roomCell) {
+        const name = nameIn(roomCell) || roomName(roomCell.textContent);
+        if (name.length > 3) current = name;
+      }
+      if (!current) return;
+      const price = priceIn(row, roomCell);
+      if (price) out.push({ room_type: current, price, ...details(row), source: 'hprt-table' });
+    });
+    if (out.length) return out;
+  }
+
+  const blocks = doc.querySelectorAll('[data-testid*="RoomRow"]');
+  if (blocks.length) {
+    let current = '';
+    blocks.forEach((row) => {
+      const name = nameIn(row);
+      if (name) current = name;
+      const price = current ? priceIn(row) : null;
+      if (price) out.push({ room_type: current, price, ...details(row), source: 'room-row' });
+    });
+    if (out.length) return out;
+  }
+
+  // Precios sueltos: primer precio por tipo, con el nombre más cercano en la jerarquía
+  const nameNear = (el) => {
+    const container = el.closest('tr, .room, .sr_item, section, article, div') || doc;
+    const name = nameIn(container);
+    if (name) return name;
+    const first = el.closest('tr')?.children?.[0];
+    return first ? roomName(first.textContent) : '';
+  };
+  const seen = new Set();
+  doc.querySelectorAll('[data-testid*="price"], .bui-price-display__value, .prco-valign-middle-helper').forEach((el) => {
+    const price = clean(el).match(priceRe)?.[0];
+    if (!price) return;
+    const name = nameNear(el);
+    if (name.length <= 3 || seen.has(name)) return;
+    seen.add(name);
+    out.push({ room_type: name, price, taxes: null, occupancy: null, conditions: [], scarcity: null, source: 'generic' });
+  });
+  return out;
+}
+
+// Habitaciones (con sus tarifas, ver rates.js) de una ficha: HTML guardado o un Document/Element.
+// Para HTML usa linkedom (dependencia de desarrollo); el scraper llama a extractRoomRows en la página.
+export async function parseRooms(page, { currency = 'MXN' } = {}) {
+  const root = typeof page === 'string' ? (await import('linkedom')).parseHTML(page).document : page;
+  return roomsFromRates(extractRoomRows({ pattern: PRICE_PATTERN, root }), { currency });
+}
@@ -0,0 +1,30 @@
+import { isMainThread, parentPort } from 'node:worker_threads';
+import { pathToFileURL } from 'url';
+
+// Los scrapers son módulos importables con `main(args)`: corren por CLI (`node scripts/x.js …`,
+// SCRAPER_RUNTIME=spawn) o dentro de un worker thread del server (SCRAPER_RUNTIME=pool).
+export const inWorker = !isMainThread && !!parentPort;
+
+// ¿El módulo se ejecuta como CLI? (detección robusta en Windows normalizando a file URL)
+export function isCli(metaUrl) {
+  return isMainThread && !!process.argv[1] && metaUrl === pathToFileURL(process.argv[1]).href;
+}
+
+// Avisos del server: `cancel` (SIGTERM por CLI) y `drain` (SIGUSR2, apagado del worker).
+// En un worker thread llegan como mensajes; sin handler de `cancel` el thread sale con 143,
+// igual que un proceso que recibe SIGTERM.
+const handlers = { cancel: [], drain: [] };
+
+export function onSignal(name, handler) {
+  if (inWorker) handlers[name].push(handler);
+  else process.on(name === 'cancel' ? 'SIGTERM' : 'SIGUSR2', handler);
+}
+
+if (inWorker) {
+  parentPort.on('message', (msg) => {
+    const list = handlers[msg?.type];
+    if (!list) return;
+    if (msg.type === 'cancel' && !list.length) process.exit(143);
+    for (const handler of list) handler();
+  });
+}
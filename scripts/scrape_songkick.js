@@ -1,12 +1,18 @@
 // dotenv/config not needed in Vercel - env vars are already available
-import { chromium } from 'playwright'
 import fs from 'fs'
 import path from 'path'
+import * as protocol from './lib/protocol.js'
+import { launchBrowser } from './lib/browser.js'
+import { isCli, onSignal } from './lib/runtime.js'
 
 const MAX_RETRIES = 3
 const BROWSER_LAUNCH_TIMEOUT = 90_000
 const PAGE_LOAD_TIMEOUT = 120_000
 
+// Estado de la ejecución en curso (para cancelar vía SIGTERM o `cancel`)
+let activeBrowser = null
+let partialEvents = []
+
 function resolveSongkickUrl(lat, lon, radiusKm) {
 	if (lat && lon) {
 		// Prefer the lat/lon search URL to avoid metro-area page variations
@@ -23,13 +29,14 @@ export async function scrapeSongkick(lat, lon, radiusKm) {
 	let browser
 	try {
 		if (DEBUG) console.error('[songkick] Launching browser…')
-		browser = await chromium.launch({ headless: !DEBUG ? true : false, timeout: BROWSER_LAUNCH_TIMEOUT, slowMo: DEBUG ? 100 : 0, args: [
+		browser = await launchBrowser({ headless: !DEBUG ? true : false, timeout: BROWSER_LAUNCH_TIMEOUT, slowMo: DEBUG ? 100 : 0, args: [
 			'--no-sandbox',
 			'--disable-setuid-sandbox',
 			'--disable-blink-features=AutomationControlled',
 			'--disable-web-security',
 			'--disable-dev-shm-usage'
 		] })
+		activeBrowser = browser
 		const context = await browser.newContext({
 			userAgent: 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/123.0.0.0 Safari/537.36',
 			bypassCSP: true,
@@ -255,6 +262,7 @@ export async function scrapeSongkick(lat, lon, radiusKm) {
 			}
 			return out
 		}, { lat, lon, radiusKm, BASE_URL })
+		partialEvents = Array.isArray(events) ? events : []
 
 		// Fallback: if no events extracted yet, try the search URL variant explicitly
 		if ((!events || events.length === 0) && lat != null && lon != null) {
@@ -357,41 +365,44 @@ export async function scrapeSongkick(lat, lon, radiusKm) {
 }
 
 // CLI compatibility: node scripts/scrape_songkick.js <lat> <lon> <radius>
-// Use robust Windows-friendly detection by normalizing to file URL
-import { pathToFileURL } from 'url'
-if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
-	(async () => {
-		const args = process.argv.slice(2)
-		const lat = parseFloat(args[0])
-		const lon = parseFloat(args[1])
-		const radius = parseFloat(args[2] || '50')
-		if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-			console.log('[]')
-			process.exit(0)
-		}
-		const events = await scrapeSongkick(lat, lon, radius)
-		// Optional file output: --out <path> or --out=<path> or env SAVE_EVENTS_JSON
-		let outPath = ''
-		const envOut = process.env.SAVE_EVENTS_JSON
-		if (envOut && envOut.trim()) outPath = envOut.trim()
-		for (let i = 3; i < args.length; i++) {
-			const a = args[i]
-			if (!a) continue
-			if (a === '--out' && args[i+1]) { outPath = args[i+1]; break }
-			if (a.startsWith('--out=')) { outPath = a.slice(6); break }
-		}
-		if (outPath) {
-			try {
-				const abs = path.isAbsolute(outPath) ? outPath : path.join(process.cwd(), outPath)
-				fs.mkdirSync(path.dirname(abs), { recursive: true })
-				fs.writeFileSync(abs, JSON.stringify(events, null, 2), 'utf8')
-				if (String(process.env.DEBUG||'').toLowerCase()==='true') console.error('[songkick] Saved events to', abs)
-			} catch (e) {
-				if (String(process.env.DEBUG||'').toLowerCase()==='true') console.error('[songkick] Failed to save events:', e?.message||e)
-			}
+// (el server importa el módulo y llama main([lat, lon, radius]) en un worker thread)
+export async function main(args) {
+	// Cancelación desde el server: cerrar Chromium y devolver los eventos ya extraídos
+	onSignal('cancel', async () => {
+		if (String(process.env.DEBUG || '').toLowerCase() === 'true') console.error('[songkick] Cancelled, closing browser')
+		if (activeBrowser) await Promise.race([activeBrowser.close().catch(() => {}), new Promise(r => setTimeout(r, 5000))])
+		protocol.result(partialEvents)
+		process.exit(143)
+	})
+	const lat = parseFloat(args[0])
+	const lon = parseFloat(args[1])
+	const radius = parseFloat(args[2] || '50')
+	if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+		protocol.result([])
+		process.exit(0)
+	}
+	const events = await scrapeSongkick(lat, lon, radius)
+	// Optional file output: --out <path> or --out=<path> or env SAVE_EVENTS_JSON
+	let outPath = ''
+	const envOut = process.env.SAVE_EVENTS_JSON
+	if (envOut && envOut.trim()) outPath = envOut.trim()
+	for (let i = 3; i < args.length; i++) {
+		const a = args[i]
+		if (!a) continue
+		if (a === '--out' && args[i+1]) { outPath = args[i+1]; break }
+		if (a.startsWith('--out=')) { outPath = a.slice(6); break }
+	}
+	if (outPath) {
+		try {
+			const abs = path.isAbsolute(outPath) ? outPath : path.join(process.cwd(), outPath)
+			fs.mkdirSync(path.dirname(abs), { recursive: true })
+			fs.writeFileSync(abs, JSON.stringify(events, null, 2), 'utf8')
+			if (String(process.env.DEBUG||'').toLowerCase()==='true') console.error('[songkick] Saved events to', abs)
+		} catch (e) {
+			if (String(process.env.DEBUG||'').toLowerCase()==='true') console.error('[songkick] Failed to save events:', e?.message||e)
 		}
-		console.log(JSON.stringify(events))
-	})()
+	}
+	protocol.result(events)
 }
 
-
+if (isCli(import.meta.url)) main(process.argv.slice(2))
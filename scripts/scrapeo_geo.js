@@ -117,48 +117,47 @@ export function getHotelCoordinates(hotelName) {
 	return hotels[hotelName] || [32.5149, -117.0382]
 }
 
+import * as protocol from './lib/protocol.js'
+import { isCli } from './lib/runtime.js'
+
 // CLI compatible: node scripts/scrapeo_geo.js <lat> <lon> <radius>
-// Use robust Windows-friendly detection by normalizing to file URL
-import { pathToFileURL } from 'url'
-if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
-	(async () => {
-		const args = process.argv.slice(2)
-		const lat = parseFloat(args[0])
-		const lon = parseFloat(args[1])
-		const radius = parseFloat(args[2] || '10')
-		
-		if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
-			console.log('[]')
-			process.exit(0)
-		}
+// (el server importa el módulo y llama main([lat, lon, radius]) en un worker thread)
+export async function main(args) {
+	const lat = parseFloat(args[0])
+	const lon = parseFloat(args[1])
+	const radius = parseFloat(args[2] || '10')
+	
+	if (!Number.isFinite(lat) || !Number.isFinite(lon)) {
+		protocol.result([])
+		process.exit(0)
+	}
 
-		const apikey = process.env.TICKETMASTER_API_KEY
-		if (!apikey) {
-			console.log('[]')
-			process.exit(0)
-		}
+	const apikey = process.env.TICKETMASTER_API_KEY
+	if (!apikey) {
+		protocol.result([])
+		process.exit(0)
+	}
 
-		const fetcher = new EventsFetcher(apikey)
-		const events = await fetcher.getAllEvents({
-			city: null,
-			daysAhead: 90, // 90 days ahead
-			latitude: lat,
-			longitude: lon,
-			radius: radius
-		})
+	const fetcher = new EventsFetcher(apikey)
+	const events = await fetcher.getAllEvents({
+		city: null,
+		daysAhead: 90, // 90 days ahead
+		latitude: lat,
+		longitude: lon,
+		radius: radius
+	})
 
-		// Convert to the expected format for Supabase
-		const formattedEvents = events.map(event => ({
-			nombre: event.name,
-			fecha: event.date,
-			lugar: event.venue,
-			enlace: event.url,
-			// Note: Ticketmaster doesn't provide distance_km, so we'll leave it null
-			// The API will handle this
-		}))
+	// Convert to the expected format for Supabase
+	const formattedEvents = events.map(event => ({
+		nombre: event.name,
+		fecha: event.date,
+		lugar: event.venue,
+		enlace: event.url,
+		// Note: Ticketmaster doesn't provide distance_km, so we'll leave it null
+		// The API will handle this
+	}))
 
-		console.log(JSON.stringify(formattedEvents))
-	})()
+	protocol.result(formattedEvents)
 }
 
-
+if (isCli(import.meta.url)) main(process.argv.slice(2))
@@ -0,0 +1,83 @@
+// Control de admisión para jobs que lanzan Chromium: máximo de jobs concurrentes
+// en todo el worker y cola FIFO acotada para el resto.
+const MAX_CONCURRENT = Math.max(1, Number(process.env.MAX_BROWSER_JOBS || 2));
+const MAX_QUEUED = Math.max(0, Number(process.env.MAX_QUEUED_JOBS || 10));
+const DEFAULT_JOB_ESTIMATE_MS = 60000;
+
+const running = new Map(); // jobId → { jobId, route, startedAt }
+const queue = []; // [{ jobId, route, queuedAt, grant, drop }]
+const recentDurations = [];
+// Al apagarse el worker no se conceden más slots: la cola queda para el siguiente proceso
+let paused = false;
+
+// ¿Hay hueco para admitir un job más (corriendo o en cola)?
+export function canAdmit() {
+  return !paused && (running.size < MAX_CONCURRENT || queue.length < MAX_QUEUED);
+}
+
+export function pauseAdmission() {
+  paused = true;
+}
+
+// Reserva un slot para el job: resuelve con `release()` cuando le toca correr,
+// o con null si se cancela mientras espera en cola.
+// La reserva es síncrona (el job entra a la cola en el mismo tick).
+export function acquireSlot(jobId, route) {
+  return new Promise((resolve) => {
+    const grant = () => {
+      running.set(jobId, { jobId, route, startedAt: Date.now() });
+      let released = false;
+      resolve(() => {
+        if (released) return;
+        released = true;
+        const entry = running.get(jobId);
+        running.delete(jobId);
+        if (entry) recordDuration(Date.now() - entry.startedAt);
+        const next = paused ? null : queue.shift();
+        if (next) next.grant();
+      });
+    };
+    if (!paused && running.size < MAX_CONCURRENT) grant();
+    else queue.push({ jobId, route, queuedAt: Date.now(), grant, drop: () => resolve(null) });
+  });
+}
+
+// Saca un job de la cola sin ejecutarlo. Devuelve false si no estaba encolado.
+export function cancelQueued(jobId) {
+  const idx = queue.findIndex(q => q.jobId === jobId);
+  if (idx < 0) return false;
+  const [entry] = queue.splice(idx, 1);
+  entry.drop();
+  return true;
+}
+
+function recordDuration(ms) {
+  recentDurations.push(ms);
+  if (recentDurations.length > 20) recentDurations.shift();
+}
+
+// Posición (1-based) del job en la cola, o null si no está encolado
+export function queuePosition(jobId) {
+  const idx = queue.findIndex(q => q.jobId === jobId);
+  return idx >= 0 ? idx + 1 : null;
+}
+
+// Segundos estimados hasta que se libere un hueco en la cola (para Retry-After)
+export function retryAfterSeconds() {
+  const avg = recentDurations.length
+    ? recentDurations.reduce((a, b) => a + b, 0) / recentDurations.length
+    : DEFAULT_JOB_ESTIMATE_MS;
+  const waves = Math.ceil((queue.length + 1) / MAX_CONCURRENT);
+  return Math.max(1, Math.ceil((avg * waves) / 1000));
+}
+
+export function admissionStats() {
+  const now = Date.now();
+  return {
+    maxConcurrent: MAX_CONCURRENT,
+    maxQueued: MAX_QUEUED,
+    depth: queue.length,
+    running: [...running.values()].map(r => ({ ...r, elapsedMs: now - r.startedAt })),
+    queued: queue.map((q, i) => ({ jobId: q.jobId, route: q.route, position: i + 1, queuedAt: q.queuedAt, waitingMs: now - q.queuedAt })),
+  };
+}
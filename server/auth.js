@@ -0,0 +1,213 @@
+import crypto from 'node:crypto';
+import fs from 'fs';
+import { logger } from './logger.js';
+
+// Registro de API keys con scopes, límites por minuto/día y expiración.
+// Fuente: API_KEYS_FILE (JSON, se recarga al cambiar) o API_KEYS (JSON en env),
+// más WORKER_API_KEY como key legacy `default` con acceso total.
+//
+// Formato: [{ "name": "dashboard", "key": "…" | "keySha256": "<hex>", "scopes": ["hotel", "events"] | ["*"],
+//            "perMinute": 60, "perDay": 5000, "expiresAt": "2026-12-31T00:00:00Z" }]
+const KEYS_FILE = process.env.API_KEYS_FILE || '';
+const RELOAD_CHECK_MS = 5000;
+
+// Rutas públicas (probes de liveness sin key); /metrics solo si METRICS_PUBLIC=true
+const PUBLIC_PATHS = new Set(['/health', ...(process.env.METRICS_PUBLIC === 'true' ? ['/metrics'] : [])]);
+
+// Scope requerido según el primer segmento de la ruta; el resto solo exige una key válida
+const ROUTE_SCOPES = {
+  hotel: 'hotel',
+  'select-hotel': 'hotel',
+  'clear-selection': 'hotel',
+  events: 'events',
+  ticketmaster: 'ticketmaster',
+  amadeus: 'amadeus',
+  metrics: 'metrics',
+  admin: 'admin',
+};
+
+// Scopes de rutas exactas registradas al montar (p. ej. /scrape/booking → hotel); se consultan antes que ROUTE_SCOPES
+const PATH_SCOPES = new Map();
+
+let registry = [];
+let fileMtimeMs = 0;
+let lastCheckAt = 0;
+const usage = new Map();
+
+const sha256 = (value) => crypto.createHash('sha256').update(String(value)).digest('hex');
+
+function normalizeKey(raw, source) {
+  const hash = raw.keySha256 ? String(raw.keySha256).toLowerCase() : (raw.key ? sha256(raw.key) : null);
+  if (!raw.name || !hash) {
+    logger.error('ignoring api key without name/key', { source });
+    return null;
+  }
+  return {
+    name: String(raw.name),
+    hash,
+    scopes: Array.isArray(raw.scopes) && raw.scopes.length ? raw.scopes.map(String) : ['*'],
+    perMinute: Number(raw.perMinute) || 0,
+    perDay: Number(raw.perDay) || 0,
+    expiresAt: raw.expiresAt ? Date.parse(raw.expiresAt) : null,
+  };
+}
+
+function parseKeys(text, source) {
+  try {
+    const parsed = JSON.parse(text);
+    const list = Array.isArray(parsed) ? parsed : (parsed?.keys || []);
+    return list.map(k => normalizeKey(k || {}, source)).filter(Boolean);
+  } catch (e) {
+    logger.error('invalid api keys JSON', { source, error: e });
+    return null;
+  }
+}
+
+function loadRegistry() {
+  const keys = [];
+  if (process.env.WORKER_API_KEY) {
+    keys.push(normalizeKey({ name: 'default', key: process.env.WORKER_API_KEY, scopes: ['*'] }, 'WORKER_API_KEY'));
+  }
+  if (process.env.API_KEYS) keys.push(...(parseKeys(process.env.API_KEYS, 'API_KEYS') || []));
+  if (KEYS_FILE) {
+    try {
+      const stat = fs.statSync(KEYS_FILE);
+      fileMtimeMs = stat.mtimeMs;
+      const fromFile = parseKeys(fs.readFileSync(KEYS_FILE, 'utf8'), KEYS_FILE);
+      // Si el archivo quedó inválido (edición a medias) se conservan las keys anteriores
+      if (!fromFile) return;
+      keys.push(...fromFile);
+    } catch (e) {
+      logger.error('cannot read api keys file', { file: KEYS_FILE, error: e });
+    }
+  }
+  registry = keys;
+  logger.info('api keys loaded', { count: registry.length, names: registry.map(k => k.name) });
+}
+
+// Recarga el archivo de keys si cambió (rotación sin reiniciar)
+function refreshRegistry() {
+  const now = Date.now();
+  if (!KEYS_FILE || now - lastCheckAt < RELOAD_CHECK_MS) return;
+  lastCheckAt = now;
+  try {
+    if (fs.statSync(KEYS_FILE).mtimeMs !== fileMtimeMs) loadRegistry();
+  } catch {}
+}
+
+function findKey(presented) {
+  if (!presented) return null;
+  const digest = Buffer.from(sha256(presented), 'hex');
+  return registry.find(k => {
+    const candidate = Buffer.from(k.hash, 'hex');
+    return candidate.length === digest.length && crypto.timingSafeEqual(candidate, digest);
+  }) || null;
+}
+
+// Express resuelve las rutas sin distinguir mayúsculas ni la barra final: /Admin/processes/
+// llega al mismo handler que /admin/processes, así que el scope se busca sobre la ruta normalizada
+const normalizePath = (pathname) => String(pathname || '').toLowerCase().replace(/\/+$/, '');
+
+export function registerPathScope(pathname, scope) {
+  PATH_SCOPES.set(normalizePath(pathname), scope);
+}
+
+export function requiredScope(pathname) {
+  const path = normalizePath(pathname);
+  const exact = PATH_SCOPES.get(path);
+  if (exact) return exact;
+  const first = path.split('/').filter(Boolean)[0] || '';
+  return ROUTE_SCOPES[first] || null;
+}
+
+export function hasScope(key, scope) {
+  return !scope || key.scopes.includes('*') || key.scopes.includes(scope);
+}
+
+// Keys con acceso total ven todos los jobs; el resto solo los propios
+export function canSeeAllJobs(key) {
+  return !!key && (key.scopes.includes('*') || key.scopes.includes('admin'));
+}
+
+function usageFor(name) {
+  if (!usage.has(name)) {
+    usage.set(name, { requests: 0, rejected: 0, rateLimited: 0, byRoute: {}, lastUsedAt: null, minute: 0, minuteCount: 0, day: '', dayCount: 0 });
+  }
+  return usage.get(name);
+}
+
+// Cuenta la petición contra los límites de la key. Devuelve null o { retryAfter, limit, window }.
+function consume(key, u, now) {
+  const minute = Math.floor(now / 60000);
+  const day = new Date(now).toISOString().slice(0, 10);
+  if (u.minute !== minute) { u.minute = minute; u.minuteCount = 0; }
+  if (u.day !== day) { u.day = day; u.dayCount = 0; }
+  if (key.perMinute && u.minuteCount >= key.perMinute) {
+    return { retryAfter: Math.max(1, Math.ceil(((minute + 1) * 60000 - now) / 1000)), limit: key.perMinute, window: 'minute' };
+  }
+  if (key.perDay && u.dayCount >= key.perDay) {
+    const nextDay = Date.parse(`${day}T00:00:00Z`) + 86400000;
+    return { retryAfter: Math.max(1, Math.ceil((nextDay - now) / 1000)), limit: key.perDay, window: 'day' };
+  }
+  u.minuteCount++;
+  u.dayCount++;
+  return null;
+}
+
+// Middleware: identifica la key (x-api-key), verifica expiración, scope y límites,
+// y deja la key en `req.apiKey`
+export function authenticate(req, res, next) {
+  if (PUBLIC_PATHS.has(normalizePath(req.path))) return next();
+  refreshRegistry();
+  if (!registry.length) return res.status(500).json({ ok: false, error: 'WORKER_API_KEY missing' });
+  const key = findKey(req.get('x-api-key'));
+  if (!key) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  const now = Date.now();
+  const u = usageFor(key.name);
+  if (key.expiresAt && key.expiresAt <= now) {
+    u.rejected++;
+    return res.status(401).json({ ok: false, error: 'api key expired' });
+  }
+  const scope = requiredScope(req.path);
+  if (!hasScope(key, scope)) {
+    u.rejected++;
+    return res.status(403).json({ ok: false, error: `api key not allowed for ${scope}` });
+  }
+  const limited = consume(key, u, now);
+  if (key.perMinute) res.set('X-RateLimit-Limit', String(key.perMinute));
+  if (key.perMinute) res.set('X-RateLimit-Remaining', String(Math.max(0, key.perMinute - u.minuteCount)));
+  if (limited) {
+    u.rateLimited++;
+    res.set('Retry-After', String(limited.retryAfter));
+    return res.status(429).json({ ok: false, error: `rate limit exceeded (${limited.limit} per ${limited.window})`, retryAfter: limited.retryAfter });
+  }
+  u.requests++;
+  u.lastUsedAt = now;
+  const route = `${req.method} /${String(req.path).split('/').filter(Boolean)[0] || ''}`;
+  u.byRoute[route] = (u.byRoute[route] || 0) + 1;
+  req.apiKey = key;
+  next();
+}
+
+// Uso acumulado por key (desde el arranque del proceso)
+export function usageReport(names) {
+  return registry
+    .filter(k => !names || names.includes(k.name))
+    .map(k => {
+      const u = usageFor(k.name);
+      return {
+        name: k.name,
+        scopes: k.scopes,
+        limits: { perMinute: k.perMinute || null, perDay: k.perDay || null },
+        expiresAt: k.expiresAt ? new Date(k.expiresAt).toISOString() : null,
+        requests: u.requests,
+        rejected: u.rejected,
+        rateLimited: u.rateLimited,
+        today: u.day === new Date().toISOString().slice(0, 10) ? u.dayCount : 0,
+        byRoute: u.byRoute,
+        lastUsedAt: u.lastUsedAt,
+      };
+    });
+}
+
+loadRegistry();
@@ -0,0 +1,139 @@
+import { chromium } from 'playwright';
+import { logger } from './logger.js';
+import { observeBrowserRecycle, processTreeRss, registerGauge } from './metrics.js';
+
+// Pool de Chromium tibios para los scripts que corren en worker threads (SCRAPER_RUNTIME=pool).
+// Cada script se conecta por websocket (scripts/lib/browser.js) y trabaja en sus propios contexts,
+// que Chromium cierra cuando el script se desconecta. Un navegador se recicla después de
+// BROWSER_POOL_MAX_JOBS jobs o si su árbol de procesos supera BROWSER_POOL_MAX_RSS_MB:
+// deja de recibir jobs y se cierra en cuanto termina el último.
+const POOL_SIZE = Math.max(1, Number(process.env.BROWSER_POOL_SIZE || process.env.MAX_BROWSER_JOBS || 2));
+const MAX_JOBS = Math.max(1, Number(process.env.BROWSER_POOL_MAX_JOBS || 50));
+const MAX_RSS_BYTES = Number(process.env.BROWSER_POOL_MAX_RSS_MB || 1536) * 1024 * 1024;
+const LAUNCH_TIMEOUT_MS = 90000;
+const LAUNCH_ARGS = [
+  '--no-sandbox',
+  '--disable-setuid-sandbox',
+  '--disable-blink-features=AutomationControlled',
+  '--disable-web-security',
+  '--disable-dev-shm-usage',
+];
+
+const browsers = []; // [{ id, server, endpoint, pid, ready, leases, jobs, retiring }]
+let nextId = 1;
+let closed = false;
+
+function remove(entry) {
+  const i = browsers.indexOf(entry);
+  if (i >= 0) browsers.splice(i, 1);
+}
+
+function launch() {
+  const entry = { id: nextId++, server: null, endpoint: null, pid: null, ready: null, leases: 0, jobs: 0, retiring: false };
+  browsers.push(entry);
+  entry.ready = chromium.launchServer({ headless: true, args: LAUNCH_ARGS, timeout: LAUNCH_TIMEOUT_MS }).then((server) => {
+    entry.server = server;
+    entry.endpoint = server.wsEndpoint();
+    entry.pid = server.process()?.pid ?? null;
+    server.process()?.once('exit', () => {
+      if (!browsers.includes(entry)) return;
+      remove(entry);
+      observeBrowserRecycle('crashed');
+      logger.warn('pooled browser exited', { browserId: entry.id, pid: entry.pid, leases: entry.leases });
+    });
+    logger.info('pooled browser launched', { browserId: entry.id, pid: entry.pid });
+    return entry;
+  }, (e) => {
+    remove(entry);
+    throw e;
+  });
+  return entry;
+}
+
+async function close(entry) {
+  remove(entry);
+  try { await entry.server?.close(); } catch { try { await entry.server?.kill(); } catch {} }
+  logger.info('pooled browser closed', { browserId: entry.id, jobs: entry.jobs });
+}
+
+function retire(entry, reason, extra = {}) {
+  entry.retiring = true;
+  observeBrowserRecycle(reason);
+  logger.info('recycling pooled browser', { browserId: entry.id, reason, jobs: entry.jobs, ...extra });
+}
+
+// Marca para reciclar si ya sirvió MAX_JOBS jobs o usa demasiada memoria; cierra los retirados
+// que quedaron libres y lanza su reemplazo para que el pool siga tibio
+function checkRecycle(entry) {
+  if (!entry.server) return;
+  if (!entry.retiring && entry.jobs >= MAX_JOBS) retire(entry, 'jobs');
+  if (!entry.retiring && entry.pid) {
+    const rss = processTreeRss(entry.pid);
+    if (rss > MAX_RSS_BYTES) retire(entry, 'memory', { rss });
+  }
+  if (entry.retiring && entry.leases === 0) {
+    close(entry);
+    if (!closed && browsers.filter(b => !b.retiring).length < POOL_SIZE) {
+      launch().ready.catch(e => logger.warn('browser pool relaunch failed', { error: e }));
+    }
+  }
+}
+
+// Reserva un navegador para un script: uno libre, uno nuevo si el pool no está lleno o el
+// menos ocupado. Resuelve { endpoint, browserId, pid, release() } o rechaza si Chromium no arranca.
+export async function acquireBrowser() {
+  if (closed) throw new Error('browser pool closed');
+  for (const entry of [...browsers]) checkRecycle(entry);
+  const usable = browsers.filter(b => !b.retiring);
+  const entry = usable.find(b => b.leases === 0)
+    || (usable.length < POOL_SIZE ? launch() : usable.reduce((a, b) => (b.leases < a.leases ? b : a)));
+  entry.leases++;
+  try {
+    await entry.ready;
+  } catch (e) {
+    entry.leases--;
+    throw e;
+  }
+  entry.jobs++;
+  let released = false;
+  return {
+    endpoint: entry.endpoint,
+    browserId: entry.id,
+    pid: entry.pid,
+    release: () => {
+      if (released) return;
+      released = true;
+      entry.leases--;
+      checkRecycle(entry);
+    },
+  };
+}
+
+// Lanza los navegadores del pool al arrancar (si Chromium falla, se reintenta en cada acquireBrowser)
+export function startBrowserPool() {
+  for (let i = browsers.length; i < POOL_SIZE; i++) {
+    launch().ready.catch(e => logger.warn('browser pool warm-up failed', { error: e }));
+  }
+}
+
+export async function closeBrowserPool() {
+  closed = true;
+  await Promise.all([...browsers].map(entry => entry.ready.then(() => close(entry), () => {})));
+}
+
+export function browserPoolStats() {
+  return {
+    size: POOL_SIZE,
+    maxJobs: MAX_JOBS,
+    maxRssMb: MAX_RSS_BYTES / 1024 / 1024,
+    browsers: browsers.map(b => ({ id: b.id, pid: b.pid, ready: !!b.server, leases: b.leases, jobs: b.jobs, retiring: b.retiring })),
+  };
+}
+
+registerGauge('scraper_browser_pool_browsers', 'Pooled Chromium instances by state', () => {
+  const count = (state) => browsers.filter(b => (b.retiring ? 'retiring' : b.leases ? 'busy' : 'idle') === state).length;
+  return ['idle', 'busy', 'retiring'].map(state => ({ labels: { state }, value: count(state) }));
+});
+registerGauge('scraper_browser_pool_rss_bytes', 'Resident memory of each pooled Chromium and its renderers', () => (
+  browsers.filter(b => b.pid).map(b => ({ labels: { browser: b.id }, value: processTreeRss(b.pid) ?? 0 }))
+));
@@ -0,0 +1,101 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Cache LRU acotada de resultados de scraping, con TTL por ruta.
+// CACHE_TTL_<ROUTE> (segundos, 0 = sin cache) sobreescribe el TTL por defecto de la ruta.
+// Con CACHE_FILE las entradas se guardan en disco y sobreviven a un reinicio.
+const MAX_ENTRIES = Math.max(1, Number(process.env.CACHE_MAX_ENTRIES || 200));
+const COORD_PRECISION = Math.max(0, Math.min(6, Number(process.env.CACHE_COORD_PRECISION ?? 3)));
+const CACHE_FILE = process.env.CACHE_FILE || '';
+const FLUSH_DELAY_MS = 1000;
+
+const entries = new Map(); // key → { route, storedAt, expiresAt, status, json }
+let flushTimer = null;
+
+// Redondea coordenadas para que puntos casi iguales compartan entrada (3 decimales ≈ 110 m)
+export function roundCoord(value) {
+  return Number(value).toFixed(COORD_PRECISION);
+}
+
+// Parte de la clave de cache para búsquedas por punto (coordenadas redondeadas)
+export function pointKey({ latitude, longitude, radius }) {
+  return `${roundCoord(latitude)}|${roundCoord(longitude)}|${radius}`;
+}
+
+export function routeTtlMs(route, defaultSeconds) {
+  const env = Number(process.env[`CACHE_TTL_${route.toUpperCase()}`]);
+  return (Number.isFinite(env) && env >= 0 ? env : defaultSeconds) * 1000;
+}
+
+// Entrada vigente para `key` (o null); la marca como usada recientemente
+export function cacheGet(key) {
+  const entry = entries.get(key);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    entries.delete(key);
+    scheduleFlush();
+    return null;
+  }
+  entries.delete(key);
+  entries.set(key, entry);
+  return { ...entry, ageMs: Date.now() - entry.storedAt };
+}
+
+export function cacheSet(key, { route, ttlMs, status, json }) {
+  if (!ttlMs) return;
+  const now = Date.now();
+  entries.delete(key);
+  entries.set(key, { route, storedAt: now, expiresAt: now + ttlMs, status, json });
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  scheduleFlush();
+}
+
+// Borra las entradas cuya clave empieza con `prefix` (p. ej. al cambiar la ficha fijada de un hotel)
+export function cacheDeletePrefix(prefix) {
+  let deleted = 0;
+  for (const key of [...entries.keys()]) {
+    if (key.startsWith(prefix) && entries.delete(key)) deleted++;
+  }
+  if (deleted) scheduleFlush();
+  return deleted;
+}
+
+export function cacheStats() {
+  const byRoute = {};
+  for (const e of entries.values()) byRoute[e.route] = (byRoute[e.route] || 0) + 1;
+  return { size: entries.size, maxEntries: MAX_ENTRIES, coordPrecision: COORD_PRECISION, persistent: !!CACHE_FILE, byRoute };
+}
+
+// --- Respaldo en disco (snapshot JSON, escrito con retraso para agrupar cambios) ---
+function scheduleFlush() {
+  if (!CACHE_FILE || flushTimer) return;
+  flushTimer = setTimeout(flushCache, FLUSH_DELAY_MS);
+  flushTimer.unref();
+}
+
+export function flushCache() {
+  clearTimeout(flushTimer);
+  flushTimer = null;
+  if (!CACHE_FILE) return;
+  const tmp = `${CACHE_FILE}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(CACHE_FILE), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify([...entries]), 'utf8');
+    fs.renameSync(tmp, CACHE_FILE);
+  } catch (e) {
+    logger.error('cache flush failed', { file: CACHE_FILE, error: e });
+  }
+}
+
+export function loadCache() {
+  if (!CACHE_FILE) return;
+  let saved;
+  try { saved = JSON.parse(fs.readFileSync(CACHE_FILE, 'utf8')); } catch { return; }
+  const now = Date.now();
+  for (const [key, entry] of Array.isArray(saved) ? saved : []) {
+    if (entry?.expiresAt > now) entries.set(key, entry);
+  }
+  while (entries.size > MAX_ENTRIES) entries.delete(entries.keys().next().value);
+  logger.info('cache restored', { entries: entries.size, file: CACHE_FILE });
+}
@@ -0,0 +1,95 @@
+// Expresiones cron de 5 campos (minuto hora día-del-mes mes día-de-la-semana) evaluadas
+// en una zona horaria IANA. Soporta `*`, listas, rangos, pasos (`*/6`, `1-5/2`) y los
+// alias @hourly, @daily, @weekly, @monthly.
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MAX_SEARCH_MS = 5 * 366 * 24 * 3600 * 1000;
+
+function parseField(text, { name, min, max }) {
+  const values = new Set();
+  for (const part of text.split(',')) {
+    const m = part.match(/^(\*|\d+(?:-\d+)?)(?:\/(\d+))?$/);
+    if (!m) throw new Error(`invalid ${name} "${part}"`);
+    let [lo, hi] = m[1] === '*' ? [min, max] : m[1].split('-').map(Number);
+    if (hi === undefined) hi = m[2] ? max : lo;
+    const step = m[2] ? Number(m[2]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`${name} out of range in "${part}"`);
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// Devuelve { minute, hour, dayOfMonth, month, dayOfWeek } como Sets, o lanza Error
+export function parseCron(expression) {
+  const text = ALIASES[String(expression).trim()] || String(expression).trim();
+  const parts = text.split(/\s+/);
+  if (parts.length !== 5) throw new Error('cron must have 5 fields: minute hour day-of-month month day-of-week');
+  const cron = {};
+  FIELDS.forEach((field, i) => { cron[field.name] = parseField(parts[i], field); });
+  // 7 también es domingo
+  if (cron.dayOfWeek.delete(7)) cron.dayOfWeek.add(0);
+  cron.anyDayOfMonth = parts[2] === '*';
+  cron.anyDayOfWeek = parts[4] === '*';
+  return cron;
+}
+
+// Lanza RangeError si la zona horaria no existe
+export function assertTimeZone(timeZone) {
+  new Intl.DateTimeFormat('en-US', { timeZone });
+}
+
+const formatters = new Map();
+function wallClock(ts, timeZone) {
+  if (!formatters.has(timeZone)) {
+    formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone, hourCycle: 'h23', weekday: 'short', year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric',
+    }));
+  }
+  const parts = Object.fromEntries(formatters.get(timeZone).formatToParts(new Date(ts)).map(p => [p.type, p.value]));
+  return { month: Number(parts.month), day: Number(parts.day), hour: Number(parts.hour), minute: Number(parts.minute), weekday: WEEKDAYS[parts.weekday] };
+}
+
+// Como en cron clásico: si se restringen día del mes y día de la semana, basta con que coincida uno
+function dayMatches(cron, t) {
+  const dom = cron.dayOfMonth.has(t.day);
+  const dow = cron.dayOfWeek.has(t.weekday);
+  if (cron.anyDayOfMonth) return dow;
+  if (cron.anyDayOfWeek) return dom;
+  return dom || dow;
+}
+
+// Próximo instante (ms) estrictamente posterior a `after` en que la expresión coincide, o null
+export function nextRun(cron, after, timeZone = 'UTC') {
+  let ts = Math.floor(after / 60000) * 60000 + 60000;
+  const limit = ts + MAX_SEARCH_MS;
+  while (ts < limit) {
+    const t = wallClock(ts, timeZone);
+    if (!cron.month.has(t.month) || !dayMatches(cron, t)) {
+      ts += ((23 - t.hour) * 60 + (60 - t.minute)) * 60000;
+      // Un cambio de horario en medio puede dejarnos a la 01:00: volver a la medianoche local
+      const landed = wallClock(ts, timeZone);
+      if (landed.hour > 0 && landed.hour < 12) ts -= landed.hour * 3600000;
+    } else if (!cron.hour.has(t.hour)) {
+      ts += (60 - t.minute) * 60000;
+    } else if (!cron.minute.has(t.minute)) {
+      ts += 60000;
+    } else {
+      return ts;
+    }
+  }
+  return null;
+}
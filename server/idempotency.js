@@ -0,0 +1,27 @@
+import crypto from 'node:crypto';
+
+// Idempotency-Key en las rutas de scraping: la misma key (por API key) con el mismo body se
+// engancha al job en curso o devuelve su resultado guardado; con otro body es un 409.
+// Las keys se recuerdan IDEMPOTENCY_TTL_HOURS y mientras su job siga en el registro (JOBS_MAX_FINISHED).
+export const IDEMPOTENCY_TTL_MS = Number(process.env.IDEMPOTENCY_TTL_HOURS || 24) * 3600 * 1000;
+
+// ASCII visible, sin espacios (como los ids que generan los clientes: UUID, ULID, hashes…)
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+export function isValidIdempotencyKey(key) {
+  return KEY_PATTERN.test(String(key));
+}
+
+// JSON con las claves ordenadas: el mismo body da la misma huella aunque cambie el orden
+function canonical(value) {
+  if (Array.isArray(value)) return value.map(canonical);
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.keys(value).sort().map(k => [k, canonical(value[k])]));
+  }
+  return value;
+}
+
+// Huella de la petición (ruta + body validado con defaults); solo se guarda el hash
+export function requestFingerprint(route, body) {
+  return crypto.createHash('sha256').update(`${route}\n${JSON.stringify(canonical(body))}`).digest('hex');
+}
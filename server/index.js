@@ -1,9 +1,27 @@
 import express from 'express';
 import cors from 'cors';
 import { spawn } from 'node:child_process';
+import { Worker } from 'node:worker_threads';
 import fs from 'fs';
 import path from 'path';
 import 'dotenv/config';
+import { cancelJob, createJob, emitJobEvent, finalSummary, findIdempotentJob, getJob, interruptJob, isFinished, jobSummary, listJobs, onJobFinished, registerJobRoute, restoreJobs, setJobCanceler, setJobProcess, subscribeJobEvents, updateJobProgress, waitForJob } from './jobs.js';
+import { admissionStats, canAdmit, pauseAdmission, retryAfterSeconds } from './admission.js';
+import { deliverJobWebhook, webhooksEnabled } from './webhooks.js';
+import { buildOpenApi, describeRoute, responses } from './openapi.js';
+import { clearSelectionBody, hotelPinBody, scheduleBody, selectHotelBody } from './schemas.js';
+import { toOpenApiSchema, validate, validateBody, validationErrorBody } from './validation.js';
+import { authenticate, canSeeAllJobs, hasScope, registerPathScope, usageReport } from './auth.js';
+import { createSchedule, deleteSchedule, getSchedule, listSchedules, runSchedule, startScheduler, stopScheduler } from './schedules.js';
+import { assertTimeZone, parseCron } from './cron.js';
+import { jobLogger, logger, requestContext } from './logger.js';
+import { cacheGet, cacheSet, cacheStats, flushCache, loadCache, routeTtlMs } from './cache.js';
+import { observeCache, observeJob, observeScriptMetric, observeScriptRun, registerGauge, renderMetrics, trackScriptMemory } from './metrics.js';
+import { acquireBrowser, browserPoolStats, closeBrowserPool, startBrowserPool } from './browserPool.js';
+import { listProviders, loadProviders } from './providers.js';
+import { getProcess, listProcesses, processInfo, trackProcess } from './processes.js';
+import { IDEMPOTENCY_TTL_MS, isValidIdempotencyKey, requestFingerprint } from './idempotency.js';
+import { deletePin, listPins } from './pins.js';
 
 const app = express();
 app.use(cors({ origin: '*' }));
@@ -15,59 +33,242 @@ app.use((req, res, next) => {
   next();
 });
 
-// auth simple por x-api-key
+// x-request-id (generado o del cliente) en la respuesta, los logs y el env de los scripts
+app.use(requestContext);
+
+// Durante el apagado no se aceptan trabajos nuevos; /health responde 503 para que el balanceador saque al worker
+let shuttingDown = false;
 app.use((req, res, next) => {
-  const key = req.get('x-api-key');
-  if (!process.env.WORKER_API_KEY) return res.status(500).json({ ok: false, error: 'WORKER_API_KEY missing' });
-  if (key !== process.env.WORKER_API_KEY) return res.status(401).json({ ok: false, error: 'unauthorized' });
-  next();
+  if (!shuttingDown || (req.method !== 'POST' && req.path !== '/health')) return next();
+  res.set('Retry-After', '30');
+  return res.status(503).json({ ok: false, error: 'worker shutting down' });
 });
 
+// auth por x-api-key: registro de keys con scopes, límites y expiración (ver auth.js)
+app.use(authenticate);
+
 app.get('/health', (_req, res) => res.json({ ok: true }));
+describeRoute('get', '/health', { summary: 'Liveness check (no API key required)', tags: ['meta'] });
+
+// GET /usage → uso por key (la propia; todas si la key tiene acceso total)
+app.get('/usage', (req, res) => {
+  const data = usageReport(canSeeAllJobs(req.apiKey) ? null : [req.apiKey.name]);
+  return res.json({ ok: true, data, count: data.length });
+});
+describeRoute('get', '/usage', { summary: 'Request accounting per API key', tags: ['meta'] });
+
+// GET /openapi.json → contrato generado desde los schemas de validación
+app.get('/openapi.json', (_req, res) => res.json(buildOpenApi()));
+describeRoute('get', '/openapi.json', { summary: 'OpenAPI 3 document for this worker', tags: ['meta'] });
+
+// GET /metrics → métricas en formato Prometheus (scope `metrics`, o pública con METRICS_PUBLIC=true)
+registerGauge('scraper_browser_queue_depth', 'Browser jobs waiting for an admission slot', () => [{ value: admissionStats().depth }]);
+registerGauge('scraper_browser_jobs_running', 'Browser jobs holding an admission slot', () => [{ value: admissionStats().running.length }]);
+registerGauge('scraper_cache_entries', 'Entries in the result cache by route', () => Object.entries(cacheStats().byRoute).map(([route, value]) => ({ labels: { route }, value })));
+app.get('/metrics', (_req, res) => {
+  res.type('text/plain; version=0.0.4').send(renderMetrics());
+});
+describeRoute('get', '/metrics', { summary: 'Prometheus metrics (text exposition format)', tags: ['meta'], responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } } });
 
 // Timeout por defecto configurable (para scrapers largos)
 const DEFAULT_TIMEOUT_MS = Number(process.env.SCRAPER_TIMEOUT_MS || 1200000); // 20 min
 
-function runNodeScript(relPath, args = [], env = {}, timeoutMs = DEFAULT_TIMEOUT_MS) {
+// Gracia entre SIGTERM (el script cierra Chromium y emite parciales) y SIGKILL
+const CANCEL_GRACE_MS = Number(process.env.CANCEL_GRACE_MS || 10000);
+// Espera máxima al apagarse (SIGTERM) para que los scripts en curso terminen antes de matarlos
+const SHUTDOWN_GRACE_MS = Number(process.env.SHUTDOWN_GRACE_MS || 60000);
+const IS_WINDOWS = process.platform === 'win32';
+// `spawn` (default): un proceso node por petición, cada uno con su propio Chromium;
+// `pool` (opt-in): los scripts corren en worker threads del server y usan Chromium del pool (browserPool.js)
+const SCRAPER_RUNTIME = process.env.SCRAPER_RUNTIME === 'pool' ? 'pool' : 'spawn';
+const SCRIPT_WORKER = new URL('./scriptWorker.js', import.meta.url);
+
+// Envía `signal` a todo el árbol del script (grupo de procesos propio: node + Chromium)
+function signalTree(child, signal) {
+  try {
+    if (IS_WINDOWS) child.kill(signal);
+    else process.kill(-child.pid, signal);
+  } catch {}
+}
+
+// Cancela un script en curso: SIGTERM, y SIGKILL al grupo si no termina dentro de la gracia
+// o si deja procesos huérfanos (Chromium) al salir
+function terminateChild(child, graceMs = CANCEL_GRACE_MS) {
+  if (child.exitCode !== null || child.signalCode !== null) return;
+  signalTree(child, 'SIGTERM');
+  const timer = setTimeout(() => signalTree(child, 'SIGKILL'), graceMs);
+  child.once('close', () => { clearTimeout(timer); signalTree(child, 'SIGKILL'); });
+}
+
+// Protocolo NDJSON script → server (ver scripts/lib/protocol.js)
+const PROTOCOL_FD = 3;
+const PROTOCOL_TYPES = new Set(['log', 'progress', 'partial', 'result', 'metric']);
+
+// Devuelve un handler de 'data' que llama `onLine` por cada línea completa no vacía
+function lineSplitter(onLine) {
+  let pending = '';
+  return (chunk) => {
+    const parts = (pending + String(chunk)).split(/\r?\n/);
+    pending = parts.pop();
+    for (const part of parts) {
+      const line = part.trim();
+      if (line) onLine(line);
+    }
+  };
+}
+
+function runNodeScript(relPath, args = [], env = {}, timeoutMs = DEFAULT_TIMEOUT_MS, hooks = {}) {
   return new Promise((resolve) => {
     const startedAt = Date.now();
     const absPath = path.isAbsolute(relPath) ? relPath : path.join(process.cwd(), relPath);
+    const log = hooks.log || logger;
     const exists = (() => { try { return fs.existsSync(absPath); } catch { return false } })();
     if (!exists) {
       const durationMs = Date.now() - startedAt;
-      console.error('[runNodeScript] Script not found:', { absPath });
+      log.error('script not found', { script: relPath, absPath });
       return resolve({ code: -2, stdout: '', stderr: `Script not found: ${absPath}`, durationMs });
     }
-    console.log(`[runNodeScript] start file=${absPath} args=${JSON.stringify(args)} timeoutMs=${timeoutMs}`);
+    log.info('script start', { script: relPath, args, timeoutMs });
     const child = spawn('node', [absPath, ...args], {
-      stdio: ['ignore', 'pipe', 'pipe'],
+      // fd 3: canal NDJSON del protocolo de mensajes (scripts/lib/protocol.js)
+      stdio: ['ignore', 'pipe', 'pipe', 'pipe'],
       cwd: process.cwd(),
-      env: { ...process.env, ...env },
+      env: { ...process.env, ...env, ...hooks.env, WORKER_PROTOCOL_FD: String(PROTOCOL_FD) },
+      // Grupo de procesos propio para poder terminar también a Chromium
+      detached: !IS_WINDOWS,
     });
+    // Control del script en curso: cancelar (con gracia), drenar (SIGUSR2) o matar el árbol
+    const proc = {
+      pid: child.pid,
+      cancel: () => terminateChild(child),
+      drain: () => { try { if (!IS_WINDOWS) child.kill('SIGUSR2'); } catch {} },
+      kill: () => signalTree(child, 'SIGKILL'),
+    };
+    const untrack = trackProcess(proc, { runtime: 'spawn', script: relPath, args, env: { ...env, ...hooks.env } });
+    try { hooks.onSpawn?.(proc, { script: relPath, args }); } catch {}
     let stdout = '', stderr = '';
     let finished = false;
+    // Último mensaje `result` recibido por el canal (undefined en scripts legacy)
+    let protocolResult;
     const done = (result) => {
       if (finished) return; finished = true;
       clearTimeout(timer);
+      untrack();
       const durationMs = Date.now() - startedAt;
-      console.log(`[runNodeScript] end file=${absPath} code=${result?.code} durationMs=${durationMs}`);
-      resolve({ ...result, durationMs });
+      log.info('script end', { script: relPath, code: result?.code, durationMs, protocolResult: protocolResult !== undefined });
+      try { hooks.onExit?.({ script: relPath, code: result?.code, durationMs }); } catch {}
+      resolve({ ...result, result: protocolResult, durationMs });
     };
     const timer = setTimeout(() => {
-      try { child.kill('SIGKILL'); } catch {}
+      signalTree(child, 'SIGKILL');
       done({ code: 124, stdout, stderr: (stderr ? stderr + '\n' : '') + 'Timed out' });
     }, timeoutMs);
-    child.stdout.on('data', d => { stdout += d.toString(); });
-    child.stderr.on('data', d => { stderr += d.toString(); });
+    child.stdout.on('data', d => { stdout += d.toString(); try { hooks.onOutput?.(d.toString(), 'stdout'); } catch {} });
+    child.stderr.on('data', d => { stderr += d.toString(); try { hooks.onOutput?.(d.toString(), 'stderr'); } catch {} });
+    child.stdio[PROTOCOL_FD]?.on('data', lineSplitter((line) => {
+      const msg = parseJsonSafe(line, null);
+      if (!msg || !PROTOCOL_TYPES.has(msg.type)) return;
+      if (msg.type === 'result') protocolResult = msg.data;
+      try { hooks.onMessage?.(msg); } catch {}
+    }));
     child.on('close', code => done({ code, stdout, stderr }));
     child.on('error', err => done({ code: -1, stdout, stderr: String(err?.message || err) }));
   });
 }
 
+// Mismo contrato que runNodeScript, pero el script corre en un worker thread (scriptWorker.js):
+// los mensajes del protocolo llegan por postMessage, cancelar/drenar son mensajes y cada
+// navegador que pida el script se reserva en el pool hasta que el thread termina.
+function runScriptInThread(relPath, args = [], env = {}, timeoutMs = DEFAULT_TIMEOUT_MS, hooks = {}) {
+  return new Promise((resolve) => {
+    const startedAt = Date.now();
+    const absPath = path.isAbsolute(relPath) ? relPath : path.join(process.cwd(), relPath);
+    const log = hooks.log || logger;
+    const exists = (() => { try { return fs.existsSync(absPath); } catch { return false } })();
+    if (!exists) {
+      const durationMs = Date.now() - startedAt;
+      log.error('script not found', { script: relPath, absPath });
+      return resolve({ code: -2, stdout: '', stderr: `Script not found: ${absPath}`, durationMs });
+    }
+    log.info('script start', { script: relPath, args, timeoutMs, runtime: 'pool' });
+    const worker = new Worker(SCRIPT_WORKER, {
+      argv: args,
+      workerData: { script: absPath, args, browserPool: true },
+      env: { ...process.env, ...env, ...hooks.env },
+      stdout: true,
+      stderr: true,
+    });
+    const leases = [];
+    let stdout = '', stderr = '';
+    let finished = false;
+    let protocolResult;
+    const proc = {
+      pid: null,
+      threadId: worker.threadId,
+      cancel: () => {
+        if (finished) return;
+        worker.postMessage({ type: 'cancel' });
+        setTimeout(() => worker.terminate(), CANCEL_GRACE_MS).unref();
+      },
+      drain: () => { if (!finished) worker.postMessage({ type: 'drain' }); },
+      kill: () => worker.terminate(),
+    };
+    const untrack = trackProcess(proc, { runtime: 'pool', script: relPath, args, env: { ...env, ...hooks.env }, leases });
+    try { hooks.onSpawn?.(proc, { script: relPath, args }); } catch {}
+    const done = (result) => {
+      if (finished) return; finished = true;
+      clearTimeout(timer);
+      untrack();
+      for (const lease of leases) lease.release();
+      const durationMs = Date.now() - startedAt;
+      log.info('script end', { script: relPath, code: result?.code, durationMs, protocolResult: protocolResult !== undefined });
+      try { hooks.onExit?.({ script: relPath, code: result?.code, durationMs }); } catch {}
+      resolve({ ...result, result: protocolResult, durationMs });
+    };
+    const timer = setTimeout(() => {
+      worker.terminate();
+      done({ code: 124, stdout, stderr: (stderr ? stderr + '\n' : '') + 'Timed out' });
+    }, timeoutMs);
+    worker.stdout.on('data', d => { stdout += d.toString(); try { hooks.onOutput?.(d.toString(), 'stdout'); } catch {} });
+    worker.stderr.on('data', d => { stderr += d.toString(); try { hooks.onOutput?.(d.toString(), 'stderr'); } catch {} });
+    worker.on('message', (msg) => {
+      if (msg?.type === 'browser') {
+        acquireBrowser().then((lease) => {
+          if (finished) return lease.release();
+          leases.push(lease);
+          log.info('browser leased', { script: relPath, browserId: lease.browserId });
+          worker.postMessage({ type: 'browser', id: msg.id, endpoint: lease.endpoint });
+        }, (e) => {
+          log.error('browser pool unavailable', { script: relPath, error: e });
+          if (!finished) worker.postMessage({ type: 'browser', id: msg.id, error: `browser pool: ${e?.message || e}` });
+        });
+        return;
+      }
+      if (!msg || !PROTOCOL_TYPES.has(msg.type)) return;
+      if (msg.type === 'result') protocolResult = msg.data;
+      try { hooks.onMessage?.(msg); } catch {}
+    });
+    worker.on('error', err => { stderr += (stderr ? '\n' : '') + String(err?.stack || err); });
+    worker.on('exit', code => done({ code, stdout, stderr }));
+  });
+}
+
+function runScript(relPath, args, env, timeoutMs, hooks) {
+  return SCRAPER_RUNTIME === 'spawn'
+    ? runNodeScript(relPath, args, env, timeoutMs, hooks)
+    : runScriptInThread(relPath, args, env, timeoutMs, hooks);
+}
+
 function parseJsonSafe(str, fallback) {
   try { return JSON.parse(String(str || '')); } catch { return fallback; }
 }
 
+// Payload final del script: el mensaje `result` del protocolo o, para scripts
+// legacy que solo imprimen por stdout, el último JSON encontrado en la salida
+function scriptPayload({ result, stdout }) {
+  return result !== undefined ? result : extractLastJsonPayload(stdout);
+}
+
 // Extrae el último JSON válido (Array u Object) desde stdout con logs mezclados
 function extractLastJsonPayload(mixedOutput) {
   const text = String(mixedOutput || '');
@@ -125,123 +326,500 @@ function clearStopForUser(userUuid) {
   try { fs.unlinkSync(stopFilePath(userUuid)); } catch {}
 }
 
-// POST /select-hotel → marca selección y detiene scraping en curso para ese usuario
-app.post('/select-hotel', (req, res) => {
-  const { userUuid, hotelName = '' } = req.body || {};
-  if (!userUuid) return res.status(400).json({ ok: false, error: 'userUuid required' });
+// POST /select-hotel → marca selección y cancela los scrapes de hotel en curso de ese usuario
+app.post('/select-hotel', validateBody(selectHotelBody), (req, res) => {
+  const { userUuid, hotelName } = req.body;
   setStopForUser(userUuid, hotelName);
-  return res.json({ ok: true });
+  const owner = canSeeAllJobs(req.apiKey) ? undefined : req.apiKey.name;
+  const active = listJobs({ route: 'hotel', owner, limit: Infinity }).filter(j => !isFinished(j) && j.params?.userUuid === userUuid);
+  for (const job of active) cancelJob(job);
+  return res.json({ ok: true, cancelledJobs: active.map(j => j.id) });
 });
+describeRoute('post', '/select-hotel', { summary: 'Mark hotel selection and cancel the user\'s running hotel scrapes', tags: ['hotel'], body: selectHotelBody, responses: { 200: responses.ok({ type: 'object' }), 400: responses.invalid } });
 
 // POST /clear-selection → limpia bandera de stop
-app.post('/clear-selection', (req, res) => {
-  const { userUuid } = req.body || {};
-  if (!userUuid) return res.status(400).json({ ok: false, error: 'userUuid required' });
-  clearStopForUser(userUuid);
+app.post('/clear-selection', validateBody(clearSelectionBody), (req, res) => {
+  clearStopForUser(req.body.userUuid);
   return res.json({ ok: true });
 });
+describeRoute('post', '/clear-selection', { summary: 'Clear the stop flag for a user', tags: ['hotel'], body: clearSelectionBody, responses: { 200: responses.ok({ type: 'object' }), 400: responses.invalid } });
 
-// POST /amadeus
-// Cache simple para evitar re-ejecutar Amadeus si no cambian los parámetros
-let lastAmadeusCache = { key: '', response: null };
+// GET /hotel/pins?userUuid=… → fichas de Booking fijadas (ver pins.js); se fijan con bookingUrl/propertyId en /hotel
+app.get('/hotel/pins', (req, res) => {
+  const owner = canSeeAllJobs(req.apiKey) ? undefined : req.apiKey.name;
+  const data = listPins({ owner, userUuid: req.query.userUuid ? String(req.query.userUuid) : undefined });
+  return res.json({ ok: true, data, count: data.length });
+});
+describeRoute('get', '/hotel/pins', { summary: 'Booking properties pinned per user and hotel name', tags: ['hotel'], query: [{ name: 'userUuid', schema: { type: 'string' } }] });
 
-app.post('/amadeus', async (req, res) => {
-  const { latitude, longitude, radius = 30, keyword = null, saveToDb = false, userUuid = null } = req.body || {};
-  if (typeof latitude !== 'number' || typeof longitude !== 'number') return res.status(400).json({ ok: false, error: 'latitude/longitude required' });
+// DELETE /hotel/pins → { userUuid, hotelName }: /hotel vuelve a buscar el nombre
+app.delete('/hotel/pins', validateBody(hotelPinBody), (req, res) => {
+  const { userUuid, hotelName } = req.body;
+  const deleted = deletePin({ owner: req.apiKey?.name ?? null, userUuid, hotelName });
+  if (!deleted) return res.status(404).json({ ok: false, error: 'pin not found' });
+  return res.json({ ok: true });
+});
+describeRoute('delete', '/hotel/pins', { summary: 'Forget the pinned Booking property of a user and hotel name', tags: ['hotel'], body: hotelPinBody, responses: { 200: responses.ok({ type: 'object' }), 400: responses.invalid, 404: responses.error('Pin not found') } });
 
-  // Solo cachear cuando NO hay operación de guardado (sin efectos secundarios)
-  const cacheKey = `${latitude}|${longitude}|${radius}|${keyword || ''}`;
-  if (!saveToDb && lastAmadeusCache.key === cacheKey && lastAmadeusCache.response) {
-    return res.status(200).json(lastAmadeusCache.response);
-  }
+// Monta un provider (ver providers.js) como job persistido, en modo síncrono o async (job + polling):
+// POST /scrape/<name> y sus alias comparten validación, cache, admisión y el mismo envelope.
+// `maxRetries`: reintentos permitidos si el worker se reinicia con el job en curso.
+// `browser`: el script lanza Chromium y pasa por el control de admisión (429 si la cola está llena).
+// `input` valida el body (400 uniforme); `input` y `output` documentan la ruta en /openapi.json y /providers.
+// `cache`: { ttlSeconds, key(body) } → resultados exitosos y no vacíos se reutilizan durante el TTL
+// (CACHE_TTL_<ROUTE>); `key` devuelve null para peticiones que no se deben cachear.
+// `drainable`: el script atiende SIGUSR2 / `drain` (apagado): termina la fecha en curso, guarda y devuelve parciales.
+const scrapers = new Map(); // route → { provider, schema, browser, drainable, cacheKeyFor, ttlMs }
+// Scripts en curso por job (para drenarlos o matarlos al apagar)
+const children = new Map();
 
-  const args = [String(latitude), String(longitude), `--radius=${radius}`];
-  if (keyword) args.push(`--keyword=${keyword}`);
-  if (saveToDb && userUuid) args.push(`--user-id=${userUuid}`, '--save');
+function providerPaths(provider) {
+  return [`/scrape/${provider.name}`, ...provider.aliases];
+}
 
-  const { code, stdout, stderr, durationMs } = await runNodeScript('scripts/amadeus_hotels.js', args);
-  const json = { ok: code === 0, output: stdout, error: stderr, code, durationMs };
+function mountProvider(provider) {
+  const { route, input: schema, output, summary, maxRetries, browser, drainable, cache } = provider;
+  const ttlMs = cache ? routeTtlMs(route, cache.ttlSeconds) : 0;
+  const cacheKeyFor = (body, owner = null) => (ttlMs ? cache.key(body, { owner }) : null);
+  scrapers.set(route, { provider, schema, browser, drainable, cacheKeyFor, ttlMs });
+  for (const routePath of providerPaths(provider)) registerPathScope(routePath, provider.scope);
+  for (const routePath of providerPaths(provider)) {
+    describeRoute('post', routePath, {
+      summary: routePath.startsWith('/scrape/') ? summary : `${summary} (alias of /scrape/${provider.name})`,
+      tags: ['scrape'],
+      body: schema,
+      headers: [{ name: 'Idempotency-Key', description: 'Retries with the same key and body reuse the first job', schema: { type: 'string', maxLength: 255 } }],
+      responses: {
+        200: output ? responses.scrapeOf(output) : responses.scrape,
+        202: responses.accepted,
+        400: responses.invalid,
+        409: responses.error('Idempotency-Key already used with a different request'),
+        ...(browser ? { 429: responses.queueFull } : {}),
+        500: responses.scrape,
+      },
+    });
+  }
+  registerJobRoute(route, async (body, job) => {
+    const startedAt = Date.now();
+    try {
+      const out = await runProvider(provider, body, job);
+      const cacheKey = cacheKeyFor(body, job.owner);
+      if (cacheKey && out.json?.ok && out.json.count > 0) cacheSet(cacheKey, { route, ttlMs, ...out });
+      return out;
+    } catch (e) {
+      const durationMs = Date.now() - startedAt;
+      jobLogger(job).error('route failed', { error: e });
+      return { status: 500, json: { ok: false, error: String(e?.message || e), durationMs, startedAt } };
+    }
+  }, { maxRetries, browser });
+  const handler = async (req, res) => {
+    const { value: body, errors } = validate(schema, req.body ?? {});
+    const { requestId } = req;
+    // `check(body)`: reglas entre campos que el schema no expresa (mismo 400 uniforme)
+    if (!errors.length && provider.check) errors.push(...provider.check(body));
+    if (errors.length) return res.status(400).json({ ...validationErrorBody(errors), requestId });
+    if (body.callbackUrl != null && !webhooksEnabled()) return res.status(500).json({ ok: false, error: 'WEBHOOK_SECRET missing', requestId });
+    // Idempotency-Key: un reintento con la misma key y el mismo body reutiliza el job anterior
+    const idempotencyKey = req.get('idempotency-key');
+    let idempotency = null;
+    if (idempotencyKey !== undefined) {
+      if (!isValidIdempotencyKey(idempotencyKey)) return res.status(400).json({ ok: false, error: 'invalid Idempotency-Key', requestId });
+      idempotency = { key: idempotencyKey, fingerprint: requestFingerprint(route, body) };
+      const previous = findIdempotentJob(req.apiKey?.name, idempotencyKey, IDEMPOTENCY_TTL_MS);
+      if (previous && previous.idempotency.fingerprint !== idempotency.fingerprint) {
+        return res.status(409).json({ ok: false, error: 'Idempotency-Key already used with a different request', jobId: previous.id, requestId });
+      }
+      if (previous) {
+        res.set('Idempotent-Replayed', 'true');
+        return respondWithJob(res, previous, body, requestId);
+      }
+    }
+    const { job, cacheKey, cached } = submitScrape(route, body, { owner: req.apiKey?.name, requestId, idempotency });
+    if (cacheKey) {
+      res.set('X-Cache', cached ? 'HIT' : 'MISS');
+      if (cached) res.set('Age', String(Math.floor(cached.ageMs / 1000)));
+    }
+    if (!job) {
+      const retryAfter = retryAfterSeconds();
+      const { depth, maxQueued, running } = admissionStats();
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({ ok: false, error: 'queue full', retryAfter, queueDepth: depth, maxQueued, running: running.length, requestId });
+    }
+    return respondWithJob(res, job, body, requestId);
+  };
+  for (const routePath of providerPaths(provider)) app.post(routePath, handler);
+}
 
-  if (!saveToDb) {
-    lastAmadeusCache = { key: cacheKey, response: json };
+// Respuesta de una ruta de scraping: 202 con el job (async) o el envelope cuando termina
+async function respondWithJob(res, job, body, requestId) {
+  res.set('x-job-id', job.id);
+  if (body.async === true) {
+    return res.status(202).json({ ok: true, jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}`, resultUrl: `/jobs/${job.id}/result`, requestId });
   }
-  return res.status(code === 0 ? 200 : 500).json(json);
-});
+  await waitForJob(job);
+  return res.status(job.httpStatus || 500).json({ ...job.result, requestId });
+}
 
-// POST /hotel
-app.post('/hotel', async (req, res) => {
+// Corre `provider.run` y arma el envelope { ok, data, count, code, error, durationMs, startedAt, ...extra }.
+// `ok`, `code` y `error` salen del último script que ejecutó el provider salvo que `run` los devuelva.
+async function runProvider(provider, body, job) {
   const startedAt = Date.now();
-  try {
-    const { userUuid, hotelName, days = 1, concurrency = 3, headless = true, userJwt = '' } = req.body || {};
-    if (!userUuid || !hotelName) return res.status(400).json({ ok: false, error: 'userUuid and hotelName required' });
-    const args = [userUuid, hotelName, `--days=${days}`, `--concurrency=${concurrency}`];
-    if (headless) args.push('--headless');
-    console.log('[hotel] invoking script with args', args);
-    const { code, stdout, stderr, durationMs } = await runNodeScript('scripts/hotel_propio.js', args, { USER_JWT: userJwt }, DEFAULT_TIMEOUT_MS);
-    const payload = extractLastJsonPayload(stdout);
-    const data = Array.isArray(payload) ? payload : [];
-    const count = Array.isArray(data) ? data.reduce((acc, d) => acc + (Array.isArray(d?.rooms) ? d.rooms.length : 0), 0) : 0;
-    if (code !== 0 && count === 0) {
-      console.error('[hotel] non-zero exit or empty data', { code, stderr, durationMs });
+  const hooks = jobHooks(job);
+  let last = null;
+  const runProviderScript = async (script, args = [], env = {}) => {
+    const run = await runScript(script, args, env, DEFAULT_TIMEOUT_MS, hooks);
+    last = { ...run, payload: scriptPayload(run), dates: hooks.dates };
+    return last;
+  };
+  const { data = [], count, ok, error, ...extra } = await provider.run(body, { job, log: hooks.log, runScript: runProviderScript });
+  checkProviderOutput(provider, data, hooks.log);
+  const success = ok ?? (last ? last.code === 0 : true);
+  const json = {
+    ok: success,
+    data,
+    count: count ?? data.length,
+    code: last ? last.code : null,
+    error: success ? undefined : (error ?? last?.stderr ?? 'provider failed'),
+    durationMs: Date.now() - startedAt,
+    startedAt,
+    ...extra,
+  };
+  return { status: success ? 200 : 500, json };
+}
+
+// Avisa (sin fallar el job) si `data` no cumple el schema de salida del provider
+function checkProviderOutput(provider, data, log) {
+  if (!provider.output) return;
+  const errors = data.flatMap((item, i) => validate(provider.output, item).errors.map(e => ({ ...e, field: `data[${i}].${e.field}` })));
+  if (errors.length) log.warn('provider output does not match its schema', { provider: provider.name, errors: errors.slice(0, 5), total: errors.length });
+}
+
+// Crea el job de una petición ya validada: sirve desde la cache si hay entrada vigente y
+// aplica el control de admisión. Devuelve { job, cacheKey, cached }; sin `job` si la cola está llena.
+function submitScrape(route, body, { owner = null, requestId = null, scheduleId = null, idempotency = null } = {}) {
+  const { browser, cacheKeyFor } = scrapers.get(route);
+  const cacheKey = cacheKeyFor(body, owner);
+  const cached = cacheKey && !body.forceRefresh ? cacheGet(cacheKey) : null;
+  if (cacheKey) observeCache(route, !!cached);
+  if (browser && !cached && !canAdmit()) return { job: null, cacheKey, cached };
+  return { job: createJob(route, body, { owner, requestId, scheduleId, cached, idempotency }), cacheKey, cached };
+}
+
+// Hooks de runNodeScript que registran el proceso y reflejan su salida en el job.
+// Cada línea del script (stdout, stderr y mensajes `log`) se registra con el contexto del job.
+function jobHooks(job) {
+  let lines = 0;
+  const log = jobLogger(job);
+  // Fechas recibidas en vivo: datos parciales si el script muere sin enviar su resultado
+  const dates = [];
+  const onMessage = (msg) => {
+    if (msg.type === 'log') {
+      updateJobProgress(job, { lastLine: String(msg.msg || '').slice(0, 200) });
+      const level = ['debug', 'info', 'warn', 'error'].includes(msg.level) ? msg.level : 'info';
+      const { type, ts, level: _level, msg: text, ...extra } = msg;
+      log[level](String(text || ''), { source: 'script', script: job.script, ...extra });
+    } else if (msg.type === 'progress') {
+      const { done, total, failures } = msg.data || {};
+      updateJobProgress(job, { done, total, failures });
+      emitJobEvent(job, 'progress', msg.data || {});
+    } else if (msg.type === 'metric') {
+      observeScriptMetric({ route: job.route, script: job.script }, msg);
+    } else if (msg.type === 'partial') {
+      const data = msg.data || {};
+      if (data.date) {
+        const { error, ...day } = data;
+        if (Array.isArray(day.rooms) && day.rooms.length) dates.push(day);
+        emitJobEvent(job, 'date', data);
+      } else {
+        emitJobEvent(job, 'partial', data);
+      }
     }
-    console.log(`[hotel] hotelName="${hotelName}" rooms=${count} durationMs=${durationMs}`);
-    return res.status(code === 0 ? 200 : 500).json({ ok: code === 0, data, count, code, error: code === 0 ? undefined : stderr, durationMs, startedAt });
-  } catch (e) {
-    const durationMs = Date.now() - startedAt;
-    console.error('[hotel] error', e?.message || e);
-    return res.status(500).json({ ok: false, error: String(e?.message || e), durationMs, startedAt });
-  }
+  };
+  let stopMemory = () => {};
+  const outputLine = (stream) => lineSplitter((line) => {
+    lines++;
+    updateJobProgress(job, { outputLines: lines, lastLine: line.slice(0, 200) });
+    log[stream === 'stderr' ? 'warn' : 'info'](line.slice(0, 2000), { source: stream, script: job.script });
+  });
+  const splitters = { stdout: outputLine('stdout'), stderr: outputLine('stderr') };
+  return {
+    dates,
+    log,
+    // El script recibe el request id para sus propios logs/llamadas
+    env: { REQUEST_ID: job.requestId || '', JOB_ID: job.id },
+    onMessage,
+    onSpawn: (proc, { script, args }) => {
+      setJobProcess(job, { script, args, pid: proc.pid });
+      setJobCanceler(job, () => proc.cancel());
+      stopMemory = trackScriptMemory(proc.pid, { route: job.route, script });
+      children.set(job.id, proc);
+    },
+    onExit: ({ script, code, durationMs }) => {
+      children.delete(job.id);
+      stopMemory();
+      observeScriptRun({ route: job.route, script }, { code, durationMs });
+    },
+    onOutput: (chunk, stream) => splitters[stream]?.(chunk),
+  };
+}
+
+// Job pedido en la ruta, si la key puede verlo (los ajenos se reportan como 404)
+function visibleJob(req) {
+  const job = getJob(req.params.id);
+  if (!job) return null;
+  return canSeeAllJobs(req.apiKey) || job.owner === req.apiKey?.name ? job : null;
+}
+
+// GET /queue → jobs de Chromium corriendo y en cola, y el estado del pool de navegadores
+app.get('/queue', (_req, res) => res.json({ ok: true, ...admissionStats(), runtime: SCRAPER_RUNTIME, browserPool: SCRAPER_RUNTIME === 'pool' ? browserPoolStats() : null }));
+describeRoute('get', '/queue', { summary: 'Running and queued browser jobs, script runtime and browser pool', tags: ['jobs'] });
+
+// GET /jobs → jobs recientes (filtros opcionales ?route= & ?status=)
+app.get('/jobs', (req, res) => {
+  const { route, status } = req.query;
+  const limit = Math.min(Number(req.query.limit) || 50, 500);
+  const owner = canSeeAllJobs(req.apiKey) ? undefined : req.apiKey.name;
+  const items = listJobs({ route, status, owner, limit }).map(jobSummary);
+  return res.json({ ok: true, data: items, count: items.length });
+});
+describeRoute('get', '/jobs', {
+  summary: 'Recent jobs',
+  tags: ['jobs'],
+  query: [
+    { name: 'route', schema: { type: 'string' } },
+    { name: 'status', schema: { type: 'string' } },
+    { name: 'limit', schema: { type: 'integer', minimum: 1, maximum: 500, default: 50 } },
+  ],
 });
 
-// POST /events (songkick)
-app.post('/events', async (req, res) => {
-  const startedAt = Date.now();
-  try {
-    const { latitude, longitude, radius = 50, userUuid = null, hotelName = '' } = req.body || {};
-    if (typeof latitude !== 'number' || typeof longitude !== 'number') return res.status(400).json({ ok: false, error: 'latitude/longitude required' });
-    const args = [String(latitude), String(longitude), String(radius)];
-    console.log('[events] invoking script with args', args);
-    const { code, stdout, stderr, durationMs } = await runNodeScript('scripts/scrape_songkick.js', args, { DEBUG: 'true' }, DEFAULT_TIMEOUT_MS);
-    const payload = extractLastJsonPayload(stdout);
-    const data = Array.isArray(payload) ? payload : [];
-    const count = Array.isArray(data) ? data.length : 0;
-    if (count === 0) {
-      console.log('[events] 0 events', { latitude, longitude, radius });
-    }
-    console.log(`[events] items=${count} durationMs=${durationMs}`);
-    const briefErr = stderr ? String(stderr).slice(0, 400) : undefined;
-    return res.status(code === 0 ? 200 : 500).json({ ok: code === 0, data, count, code, error: code === 0 ? undefined : briefErr, durationMs, startedAt });
-  } catch (e) {
-    const durationMs = Date.now() - startedAt;
-    console.error('[events] error', e?.message || e);
-    return res.status(500).json({ ok: false, error: String(e?.message || e), durationMs, startedAt });
+// GET /jobs/:id → estado, progreso, tiempos y código de salida
+app.get('/jobs/:id', (req, res) => {
+  const job = visibleJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: 'job not found' });
+  return res.json({ ok: true, job: jobSummary(job) });
+});
+describeRoute('get', '/jobs/:id', { summary: 'Job status, progress, timing and exit code', tags: ['jobs'], responses: { 200: responses.ok({ type: 'object', properties: { ok: { type: 'boolean' }, job: responses.ref('Job') } }), 404: responses.error('Job not found') } });
+
+// GET /jobs/:id/result → mismo envelope que la ruta síncrona
+app.get('/jobs/:id/result', (req, res) => {
+  const job = visibleJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: 'job not found' });
+  if (!isFinished(job)) return res.status(202).json({ ok: false, status: job.status, error: 'job not finished' });
+  return res.status(job.httpStatus || 200).json(job.result);
+});
+describeRoute('get', '/jobs/:id/result', { summary: 'Final result envelope of a job', tags: ['jobs'], responses: { 200: responses.scrape, 202: responses.error('Job not finished yet'), 404: responses.error('Job not found') } });
+
+// DELETE /jobs/:id → cancela el job (cola o en curso) y devuelve los datos parciales
+app.delete('/jobs/:id', async (req, res) => {
+  const job = visibleJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: 'job not found' });
+  if (isFinished(job)) return res.status(409).json({ ok: false, error: `job already ${job.status}`, status: job.status });
+  await cancelJob(job);
+  return res.json({ ok: true, jobId: job.id, status: job.status, result: job.result });
+});
+describeRoute('delete', '/jobs/:id', { summary: 'Cancel a queued or running job and return partial data', tags: ['jobs'], responses: { 200: responses.ok({ type: 'object' }), 404: responses.error('Job not found'), 409: responses.error('Job already finished') } });
+
+// GET /jobs/:id/webhook → log de intentos de entrega del callback
+app.get('/jobs/:id/webhook', (req, res) => {
+  const job = visibleJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: 'job not found' });
+  if (!job.webhook) return res.status(404).json({ ok: false, error: 'job has no callbackUrl' });
+  return res.json({ ok: true, webhook: job.webhook });
+});
+describeRoute('get', '/jobs/:id/webhook', { summary: 'Callback delivery attempts for a job', tags: ['jobs'] });
+
+// GET /jobs/:id/events → Server-Sent Events con el avance del job
+// (status inicial, `date` por cada fecha scrapeada, `progress` con contadores y `summary` al terminar)
+app.get('/jobs/:id/events', (req, res) => {
+  const job = visibleJob(req);
+  if (!job) return res.status(404).json({ ok: false, error: 'job not found' });
+  try { req.setTimeout(0); res.setTimeout(0); } catch {}
+  res.set({ 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive', 'X-Accel-Buffering': 'no' });
+  res.flushHeaders();
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('status', jobSummary(job));
+  if (isFinished(job)) {
+    send('summary', finalSummary(job));
+    return res.end();
   }
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15000);
+  let unsubscribe = () => {};
+  const cleanup = () => { clearInterval(heartbeat); unsubscribe(); };
+  unsubscribe = subscribeJobEvents(job, (type, data) => {
+    send(type, data);
+    if (type === 'summary') { cleanup(); res.end(); }
+  });
+  req.on('close', cleanup);
+});
+describeRoute('get', '/jobs/:id/events', {
+  summary: 'Server-Sent Events stream of job progress (status, date, progress, partial, summary)',
+  tags: ['jobs'],
+  responses: { 200: { description: 'text/event-stream', content: { 'text/event-stream': { schema: { type: 'string' } } } }, 404: responses.error('Job not found') },
 });
 
-// POST /ticketmaster (Ticketmaster)
-app.post('/ticketmaster', async (req, res) => {
-  const startedAt = Date.now();
-  try {
-    const { latitude, longitude, radius = 10, userUuid = null } = req.body || {};
-    if (typeof latitude !== 'number' || typeof longitude !== 'number') return res.status(400).json({ ok: false, error: 'latitude/longitude required' });
-    const hasKey = !!process.env.TICKETMASTER_API_KEY;
-    if (!hasKey) {
-      console.log('[ticketmaster] No API key present');
-    }
-    const args = [String(latitude), String(longitude), String(radius)];
-    console.log('[ticketmaster] invoking script with args', args);
-    const { code, stdout, stderr, durationMs } = await runNodeScript('scripts/scrapeo_geo.js', args, {}, DEFAULT_TIMEOUT_MS);
-    const payload = extractLastJsonPayload(stdout);
-    const data = Array.isArray(payload) ? payload : [];
-    const count = Array.isArray(data) ? data.length : 0;
-    console.log(`[ticketmaster] items=${count} durationMs=${durationMs} hasKey=${hasKey}`);
-    return res.status(code === 0 ? 200 : 500).json({ ok: code === 0, data, count, code, error: code === 0 ? undefined : stderr, durationMs, startedAt, note: hasKey ? undefined : 'No API key' });
-  } catch (e) {
-    const durationMs = Date.now() - startedAt;
-    console.error('[ticketmaster] error', e?.message || e);
-    return res.status(500).json({ ok: false, error: String(e?.message || e), durationMs, startedAt });
+// POST /scrape/:provider (y alias /hotel, /events, /ticketmaster, /amadeus): ver server/providers/
+for (const provider of await loadProviders()) mountProvider(provider);
+// Cualquier ruta montada se puede programar (POST /schedules)
+scheduleBody.properties.route.enum = [...scrapers.keys()];
+
+app.post('/scrape/:provider', (req, res) => {
+  res.status(404).json({ ok: false, error: 'unknown provider', providers: listProviders().map(p => p.name), requestId: req.requestId });
+});
+
+// GET /providers → providers montados con sus rutas, schemas y si la key puede usarlos
+app.get('/providers', (req, res) => {
+  const data = listProviders().map(provider => ({
+    name: provider.name,
+    route: provider.route,
+    paths: providerPaths(provider),
+    summary: provider.summary,
+    browser: provider.browser,
+    drainable: provider.drainable,
+    maxRetries: provider.maxRetries,
+    cacheTtlSeconds: scrapers.get(provider.route).ttlMs / 1000,
+    scope: provider.scope,
+    allowed: hasScope(req.apiKey, provider.scope),
+    input: toOpenApiSchema(provider.input),
+    output: toOpenApiSchema(provider.output),
+  }));
+  res.json({ ok: true, data, count: data.length });
+});
+describeRoute('get', '/providers', { summary: 'Scraping providers with their input and output schemas', tags: ['scrape'] });
+
+// --- Schedules: scrapes recurrentes con cron + zona horaria (ver schedules.js) ---
+
+// Schedule pedido en la ruta, si la key puede verlo (mismo criterio que los jobs)
+function visibleSchedule(req) {
+  const schedule = getSchedule(req.params.id);
+  if (!schedule) return null;
+  return canSeeAllJobs(req.apiKey) || schedule.owner === req.apiKey?.name ? schedule : null;
+}
+
+// POST /schedules → { route, params, cron, timezone } p.ej. /hotel a las 03:00 America/Tijuana
+app.post('/schedules', validateBody(scheduleBody), (req, res) => {
+  const { route, cron, timezone } = req.body;
+  const { schema, provider } = scrapers.get(route);
+  // Mismo scope que la ruta del provider (hotel_batch → hotel)
+  if (!hasScope(req.apiKey, provider.scope)) {
+    return res.status(403).json({ ok: false, error: `api key not allowed for ${route}` });
   }
+  const errors = [];
+  try { parseCron(cron); } catch (e) { errors.push({ field: 'cron', message: e.message }); }
+  try { assertTimeZone(timezone); } catch { errors.push({ field: 'timezone', message: 'must be an IANA time zone' }); }
+  const { value: params, errors: paramErrors } = validate(schema, req.body.params);
+  if (!paramErrors.length && provider.check) paramErrors.push(...provider.check(params, { scheduled: true }));
+  errors.push(...paramErrors.map(e => ({ ...e, field: `params.${e.field}` })));
+  if (errors.length) return res.status(400).json(validationErrorBody(errors));
+  if (params.callbackUrl != null && !webhooksEnabled()) return res.status(500).json({ ok: false, error: 'WEBHOOK_SECRET missing' });
+  delete params.async;
+  const schedule = createSchedule({ ...req.body, params }, { owner: req.apiKey?.name });
+  return res.status(201).json({ ok: true, schedule });
+});
+describeRoute('post', '/schedules', { summary: 'Register a recurring scrape (cron expression in a time zone)', tags: ['schedules'], body: scheduleBody, responses: { 201: responses.ok({ type: 'object', properties: { ok: { type: 'boolean' }, schedule: responses.ref('Schedule') } }, 'Schedule created'), 400: responses.invalid, 403: responses.error('API key not allowed for the route') } });
+
+// GET /schedules → schedules con su próxima corrida y el resultado de la última
+app.get('/schedules', (req, res) => {
+  const owner = canSeeAllJobs(req.apiKey) ? undefined : req.apiKey.name;
+  const data = listSchedules({ owner });
+  return res.json({ ok: true, data, count: data.length });
+});
+describeRoute('get', '/schedules', { summary: 'Registered schedules with next run and last outcome', tags: ['schedules'] });
+
+app.get('/schedules/:id', (req, res) => {
+  const schedule = visibleSchedule(req);
+  if (!schedule) return res.status(404).json({ ok: false, error: 'schedule not found' });
+  return res.json({ ok: true, schedule });
+});
+describeRoute('get', '/schedules/:id', { summary: 'One schedule', tags: ['schedules'], responses: { 200: responses.ok({ type: 'object', properties: { ok: { type: 'boolean' }, schedule: responses.ref('Schedule') } }), 404: responses.error('Schedule not found') } });
+
+// DELETE /schedules/:id → deja de programar (no cancela una corrida en curso)
+app.delete('/schedules/:id', (req, res) => {
+  const schedule = visibleSchedule(req);
+  if (!schedule) return res.status(404).json({ ok: false, error: 'schedule not found' });
+  deleteSchedule(schedule);
+  return res.json({ ok: true, id: schedule.id });
+});
+describeRoute('delete', '/schedules/:id', { summary: 'Delete a schedule (a run in progress keeps going)', tags: ['schedules'], responses: { 200: responses.ok({ type: 'object' }), 404: responses.error('Schedule not found') } });
+
+// POST /schedules/:id/run → corrida inmediata (no mueve la próxima programada)
+app.post('/schedules/:id/run', (req, res) => {
+  const schedule = visibleSchedule(req);
+  if (!schedule) return res.status(404).json({ ok: false, error: 'schedule not found' });
+  const { job, skipped } = runSchedule(schedule, { manual: true });
+  if (skipped) return res.status(409).json({ ok: false, error: skipped, jobId: job?.id || null });
+  return res.status(202).json({ ok: true, jobId: job.id, status: job.status, statusUrl: `/jobs/${job.id}`, resultUrl: `/jobs/${job.id}/result` });
+});
+describeRoute('post', '/schedules/:id/run', { summary: 'Run a schedule now (skipped while its previous run is active)', tags: ['schedules'], responses: { 202: responses.accepted, 404: responses.error('Schedule not found'), 409: responses.error('Previous run still active or queue full') } });
+
+// --- Admin: scripts en ejecución (scope `admin`, ver processes.js) ---
+
+// GET /admin/processes → scripts vivos con args/env sin secretos, tiempo y memoria (con Chromium)
+app.get('/admin/processes', (_req, res) => {
+  const data = listProcesses().map(info => ({ ...info, route: getJob(info.jobId)?.route ?? null }));
+  res.json({ ok: true, runtime: SCRAPER_RUNTIME, data, count: data.length });
+});
+describeRoute('get', '/admin/processes', { summary: 'Running scripts with PID, redacted arguments, elapsed time and RSS (admin scope)', tags: ['admin'] });
+
+// POST /admin/processes/:pid/kill → termina el script en el acto (árbol con SIGKILL o terminate del thread);
+// su job termina con error. `:pid` es el PID o, en el runtime pool, el id `thread-<n>` del listado.
+app.post('/admin/processes/:pid/kill', (req, res) => {
+  const entry = getProcess(req.params.pid);
+  if (!entry) return res.status(404).json({ ok: false, error: 'process not found' });
+  const info = processInfo(entry);
+  logger.warn('script killed by admin', { by: req.apiKey?.name, id: info.id, pid: info.pid, script: info.script, jobId: info.jobId, elapsedMs: info.elapsedMs });
+  entry.proc.kill();
+  return res.json({ ok: true, killed: info });
+});
+describeRoute('post', '/admin/processes/:pid/kill', { summary: 'Kill a running script and its Chromium (admin scope)', tags: ['admin'], responses: { 200: responses.ok({ type: 'object' }), 404: responses.error('Process not found') } });
+
+// Al terminar cada job, entregar su callback firmado (si lo pidió)
+onJobFinished((job) => deliverJobWebhook(job));
+onJobFinished(observeJob);
+loadCache();
+if (SCRAPER_RUNTIME === 'pool') startBrowserPool();
+
+// Recuperar jobs persistidos (re-encolar o marcar interrumpidos)
+restoreJobs();
+
+// Las corridas programadas entran como jobs async de la key que creó el schedule
+startScheduler((schedule) => {
+  const requestId = `schedule-${schedule.id}-${Date.now()}`;
+  const { job } = submitScrape(schedule.route, schedule.params, { owner: schedule.owner, requestId, scheduleId: schedule.id });
+  return job ? { job } : { skipped: 'queue full' };
 });
 
 const port = process.env.PORT || 8080;
-app.listen(port, () => console.log(`Worker listening on :${port}`));
\ No newline at end of file
+const server = app.listen(port, () => logger.info('worker listening', { port: Number(port) }));
+
+// Apagado ordenado (SIGTERM/SIGINT): no aceptar trabajos nuevos, pedir a los scripts drenables
+// que terminen la fecha en curso y guarden, esperar SHUTDOWN_GRACE_MS y matar el resto.
+// Los jobs en curso quedan `interrupted` (con sus datos parciales); los encolados siguen
+// `queued` en el store y los retoma el siguiente proceso.
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  const running = listJobs({ status: 'running', limit: Infinity });
+  logger.warn('shutdown started', { signal, graceMs: SHUTDOWN_GRACE_MS, running: running.map(j => j.id) });
+  stopScheduler();
+  pauseAdmission();
+  server.close();
+  const finished = Promise.all(running.map(job => {
+    const done = interruptJob(job);
+    if (scrapers.get(job.route)?.drainable) children.get(job.id)?.drain();
+    return done;
+  }));
+  const sleep = (ms) => new Promise(r => setTimeout(r, ms).unref());
+  const drained = await Promise.race([finished.then(() => true), sleep(SHUTDOWN_GRACE_MS).then(() => false)]);
+  if (!drained) {
+    const left = [...children.keys()];
+    logger.warn('shutdown grace elapsed, killing scripts', { jobs: left });
+    for (const proc of children.values()) proc.kill();
+    await Promise.race([finished, sleep(5000)]);
+  }
+  flushCache();
+  await closeBrowserPool();
+  logger.info('shutdown complete', { drained });
+  process.exit(0);
+}
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
\ No newline at end of file
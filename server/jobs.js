@@ -0,0 +1,379 @@
+import { randomUUID } from 'node:crypto';
+import { acquireSlot, cancelQueued, queuePosition } from './admission.js';
+import { appendRecord, compactRecords, loadRecords, needsCompaction } from './store.js';
+import { jobLogger, logger } from './logger.js';
+
+// Registro de jobs de scraping (en memoria + store append-only en disco)
+const jobs = new Map();
+const runners = new Map();
+const waiters = new Map();
+const finishedListeners = new Set();
+const cancelers = new Map();
+// Eventos en vivo por job (suscriptores SSE + backlog para reconexiones)
+const listeners = new Map();
+const eventLogs = new Map();
+const MAX_EVENTS_PER_JOB = 1000;
+const MAX_FINISHED_JOBS = Number(process.env.JOBS_MAX_FINISHED || 200);
+const FINAL_STATES = new Set(['succeeded', 'failed', 'interrupted', 'cancelled']);
+
+// Campos sensibles que no se guardan junto con los parámetros del job
+const REDACTED_PARAMS = ['userJwt'];
+const REDACTED = '[redacted]';
+
+function sanitizeParams(params = {}) {
+  const out = { ...params };
+  for (const k of REDACTED_PARAMS) if (out[k]) out[k] = REDACTED;
+  return out;
+}
+
+// Parámetros reutilizables al re-encolar tras un reinicio (los secretos no se persisten)
+function replayParams(params = {}) {
+  const out = { ...params };
+  for (const k of REDACTED_PARAMS) if (out[k] === REDACTED) delete out[k];
+  return out;
+}
+
+// Último `result` escrito por job: los cambios de estado y las entregas del webhook no lo repiten
+const persistedResults = new WeakMap();
+
+function storeRecord(job) {
+  const { progress, ...record } = job;
+  return record;
+}
+
+function persist(job) {
+  const { result, ...record } = storeRecord(job);
+  if (persistedResults.get(job) !== result) {
+    record.result = result;
+    persistedResults.set(job, result);
+  }
+  appendRecord(record);
+  if (needsCompaction()) compactJobs();
+}
+
+// Reescribe el store con los jobs en memoria (los finalizados más antiguos ya se descartaron)
+function compactJobs() {
+  const records = [...jobs.values()].sort((a, b) => a.createdAt - b.createdAt).map(storeRecord);
+  compactRecords(records);
+  for (const job of jobs.values()) persistedResults.set(job, job.result);
+  logger.info('jobs store compacted', { jobs: records.length });
+}
+
+// Guarda un snapshot del job tras modificarlo fuera de este módulo
+export const saveJob = persist;
+
+// Registra `fn(job)` para cuando un job llega a un estado final
+export function onJobFinished(fn) {
+  finishedListeners.add(fn);
+  return () => finishedListeners.delete(fn);
+}
+
+function notifyFinished(job) {
+  for (const fn of finishedListeners) {
+    Promise.resolve().then(() => fn(job)).catch(e => jobLogger(job).error('finished listener failed', { error: e }));
+  }
+}
+
+function pruneFinished() {
+  const finished = [...jobs.values()].filter(j => FINAL_STATES.has(j.status));
+  const excess = finished.length - MAX_FINISHED_JOBS;
+  if (excess <= 0) return;
+  finished.sort((a, b) => a.finishedAt - b.finishedAt);
+  for (const j of finished.slice(0, excess)) jobs.delete(j.id);
+}
+
+export function isFinished(job) {
+  return FINAL_STATES.has(job?.status);
+}
+
+// Registra el ejecutor de una ruta y su política de reintentos tras reinicio.
+// `execute(params, job)` debe resolver { status, json } igual que una ruta síncrona.
+// JOB_RETRIES_<ROUTE> sobreescribe `maxRetries` (p.ej. JOB_RETRIES_HOTEL=1).
+// `browser: true` hace que el job espere un slot de Chromium (admission.js).
+export function registerJobRoute(route, execute, { maxRetries = 0, browser = false } = {}) {
+  const envRetries = Number(process.env[`JOB_RETRIES_${route.toUpperCase()}`]);
+  runners.set(route, { execute, browser, maxRetries: Number.isFinite(envRetries) ? envRetries : maxRetries });
+}
+
+// `cached`: resultado servido desde la cache (no lanza el script ni pasa por admisión)
+function startJob(job, params, cached = null) {
+  const runner = runners.get(job.route);
+  let resolveWaiter;
+  waiters.set(job.id, new Promise(r => { resolveWaiter = r; }));
+  const slot = runner?.browser && !cached ? acquireSlot(job.id, job.route) : Promise.resolve(() => {});
+
+  const finish = () => {
+    job.finishedAt = Date.now();
+    job.durationMs = job.startedAt ? job.finishedAt - job.startedAt : 0;
+    jobLogger(job).info('job finished', { status: job.status, code: job.exitCode, durationMs: job.durationMs });
+    persist(job);
+    emitJobEvent(job, 'summary', finalSummary(job));
+    listeners.delete(job.id);
+    eventLogs.delete(job.id);
+    cancelers.delete(job.id);
+    waiters.delete(job.id);
+    resolveWaiter(job);
+    notifyFinished(job);
+    pruneFinished();
+  };
+
+  setImmediate(async () => {
+    const release = await slot;
+    if (!release || job.cancelRequested) {
+      // Cancelado mientras esperaba en cola: nunca llegó a lanzarse
+      release?.();
+      markCancelled(job, { ok: false, data: [], count: 0 });
+      return finish();
+    }
+    job.status = 'running';
+    job.startedAt = Date.now();
+    job.attempts += 1;
+    persist(job);
+    try {
+      if (!runner) throw new Error(`no runner registered for route ${job.route}`);
+      const { status, json } = cached || await runner.execute(params, job);
+      job.httpStatus = status;
+      job.result = json;
+      job.exitCode = json?.code ?? null;
+      job.error = json?.ok ? null : (json?.error || null);
+      job.status = json?.ok ? 'succeeded' : 'failed';
+    } catch (e) {
+      job.httpStatus = 500;
+      job.error = String(e?.message || e);
+      job.result = { ok: false, error: job.error };
+      job.status = 'failed';
+    }
+    release();
+    if (job.cancelRequested) markCancelled(job, job.result);
+    else if (job.interruptRequested) markInterrupted(job, job.result);
+    finish();
+  });
+}
+
+// Estado final de un job cancelado: conserva los datos parciales del envelope
+function markCancelled(job, result) {
+  job.status = 'cancelled';
+  job.error = 'cancelled';
+  job.httpStatus = 200;
+  job.result = { ...(result || {}), ok: false, cancelled: true, error: 'cancelled' };
+}
+
+// Estado final de un job cortado por el apagado del worker: conserva los datos parciales
+function markInterrupted(job, result) {
+  job.status = 'interrupted';
+  job.error = 'worker shutting down';
+  job.httpStatus = 503;
+  job.result = { ...(result || {}), ok: false, interrupted: true, error: job.error };
+}
+
+// Crea un job para `route` y lo ejecuta en segundo plano.
+// `owner`: nombre de la API key que lo lanzó (solo ella y las keys con acceso total lo ven).
+// `requestId`: x-request-id de la petición que lo creó (logs y env del script).
+// `scheduleId`: schedule que lo lanzó (sus params no traen userJwt, ver schedules.js).
+// `cached`: entrada de cache.js con la que el job se resuelve sin ejecutar el script.
+// `idempotency`: { key, fingerprint } del header Idempotency-Key (ver idempotency.js).
+export function createJob(route, params, { owner = null, requestId = null, scheduleId = null, cached = null, idempotency = null } = {}) {
+  const job = {
+    id: randomUUID(),
+    route,
+    owner,
+    requestId,
+    scheduleId,
+    params: sanitizeParams(params),
+    status: 'queued',
+    attempts: 0,
+    progress: null,
+    script: null,
+    args: null,
+    createdAt: Date.now(),
+    startedAt: null,
+    finishedAt: null,
+    durationMs: null,
+    exitCode: null,
+    httpStatus: null,
+    result: null,
+    error: null,
+    cache: cached ? { hit: true, ageMs: cached.ageMs, storedAt: cached.storedAt } : null,
+    idempotency,
+    // Log de entregas del callback (ver webhooks.js)
+    webhook: params?.callbackUrl ? { url: params.callbackUrl, status: 'pending', attempts: [] } : null,
+  };
+  jobs.set(job.id, job);
+  persist(job);
+  startJob(job, params, cached);
+  return job;
+}
+
+// Resuelve cuando el job termina (inmediato si ya terminó)
+export function waitForJob(job) {
+  return waiters.get(job.id) || Promise.resolve(job);
+}
+
+export function getJob(id) {
+  return jobs.get(String(id)) || null;
+}
+
+export function listJobs({ route, status, owner, limit = 50 } = {}) {
+  return [...jobs.values()]
+    .filter(j => (!route || j.route === route) && (!status || j.status === status) && (owner === undefined || j.owner === owner))
+    .sort((a, b) => b.createdAt - a.createdAt)
+    .slice(0, limit);
+}
+
+// Job más reciente de `owner` creado con esa Idempotency-Key hace menos de `maxAgeMs`
+export function findIdempotentJob(owner, key, maxAgeMs) {
+  const since = Date.now() - maxAgeMs;
+  let found = null;
+  for (const job of jobs.values()) {
+    if (job.idempotency?.key !== key || job.owner !== owner || job.createdAt < since) continue;
+    if (!found || job.createdAt > found.createdAt) found = job;
+  }
+  return found;
+}
+
+export function updateJobProgress(job, patch) {
+  if (!job) return;
+  job.progress = { ...(job.progress || {}), ...patch, updatedAt: Date.now() };
+}
+
+// Publica un evento del job (date, progress, summary…) a los suscriptores
+export function emitJobEvent(job, type, data) {
+  if (!job) return;
+  const log = eventLogs.get(job.id) || [];
+  if (type !== 'summary') {
+    log.push({ type, data });
+    if (log.length > MAX_EVENTS_PER_JOB) log.splice(0, log.length - MAX_EVENTS_PER_JOB);
+    eventLogs.set(job.id, log);
+  }
+  for (const fn of listeners.get(job.id) || []) {
+    try { fn(type, data); } catch {}
+  }
+}
+
+// Suscribe `fn(type, data)` a los eventos del job; reenvía primero el backlog.
+// Devuelve la función para desuscribirse.
+export function subscribeJobEvents(job, fn) {
+  for (const ev of eventLogs.get(job.id) || []) fn(ev.type, ev.data);
+  const set = listeners.get(job.id) || new Set();
+  set.add(fn);
+  listeners.set(job.id, set);
+  return () => set.delete(fn);
+}
+
+// Resumen final del job (último evento del stream)
+export function finalSummary(job) {
+  return {
+    id: job.id,
+    status: job.status,
+    ok: !!job.result?.ok,
+    code: job.exitCode,
+    count: job.result?.count ?? null,
+    durationMs: job.durationMs,
+    error: job.error,
+  };
+}
+
+// Script y argumentos con los que runNodeScript lanzó el job
+export function setJobProcess(job, { script, args, pid }) {
+  if (!job) return;
+  job.script = script;
+  job.args = args;
+  job.pid = pid ?? null;
+  persist(job);
+}
+
+// Registra cómo terminar el proceso del job (lo usa cancelJob).
+// Si la cancelación llegó antes de lanzar el proceso, se aplica en el acto.
+export function setJobCanceler(job, fn) {
+  if (!job) return;
+  cancelers.set(job.id, fn);
+  if (job.cancelRequested) fn();
+}
+
+// Cancela un job en cola o en curso. Resuelve con el job ya terminado
+// (estado `cancelled` y los datos parciales que haya devuelto el script).
+export async function cancelJob(job) {
+  if (isFinished(job)) return job;
+  if (!job.cancelRequested) {
+    job.cancelRequested = true;
+    persist(job);
+    jobLogger(job).info('cancel requested', { status: job.status });
+    if (!cancelQueued(job.id)) cancelers.get(job.id)?.();
+  }
+  return waitForJob(job);
+}
+
+// Marca un job en curso para terminar como `interrupted` (apagado del worker).
+// Detener el proceso le toca a quien llama; resuelve cuando el job termina.
+export function interruptJob(job) {
+  if (isFinished(job)) return Promise.resolve(job);
+  if (!job.interruptRequested) {
+    job.interruptRequested = true;
+    persist(job);
+    jobLogger(job).warn('interrupt requested', { status: job.status });
+  }
+  return waitForJob(job);
+}
+
+// Vista pública del job (sin el payload completo del resultado)
+export function jobSummary(job) {
+  const { result, httpStatus, ...rest } = job;
+  return {
+    ...rest,
+    queuePosition: job.status === 'queued' ? queuePosition(job.id) : null,
+    elapsedMs: job.startedAt ? (job.finishedAt || Date.now()) - job.startedAt : 0,
+  };
+}
+
+// Carga el store al arrancar: los jobs que quedaron en curso se re-encolan si su
+// ruta admite reintentos, o se marcan como `interrupted`. Llamar tras registrar rutas.
+export function restoreJobs() {
+  const records = loadRecords();
+  const finished = records.filter(r => FINAL_STATES.has(r.status)).slice(-MAX_FINISHED_JOBS);
+  const pending = records.filter(r => !FINAL_STATES.has(r.status));
+  for (const rec of finished) jobs.set(rec.id, { ...rec, progress: null });
+  compactRecords([...finished, ...pending]);
+  for (const job of jobs.values()) persistedResults.set(job, job.result);
+
+  let requeued = 0, interrupted = 0;
+  for (const rec of pending) {
+    const job = { ...rec, progress: null, pid: null };
+    jobs.set(job.id, job);
+    persistedResults.set(job, job.result);
+    const runner = runners.get(job.route);
+    if (job.cancelRequested) {
+      markCancelled(job, { ok: false, data: [], count: 0 });
+      job.finishedAt = Date.now();
+      persist(job);
+      notifyFinished(job);
+    } else if (job.interruptRequested) {
+      // El proceso anterior lo estaba drenando al apagarse: no se relanza
+      markInterrupted(job, { data: [], count: 0, code: null });
+      job.finishedAt = Date.now();
+      job.durationMs = job.startedAt ? job.finishedAt - job.startedAt : null;
+      persist(job);
+      notifyFinished(job);
+      interrupted++;
+    } else if (runner && job.attempts <= runner.maxRetries) {
+      job.status = 'queued';
+      persist(job);
+      startJob(job, replayParams(job.params));
+      requeued++;
+    } else {
+      job.status = 'interrupted';
+      job.error = 'worker restarted while job was running';
+      job.finishedAt = Date.now();
+      job.durationMs = job.startedAt ? job.finishedAt - job.startedAt : null;
+      job.httpStatus = 500;
+      job.result = { ok: false, error: job.error, code: null };
+      persist(job);
+      notifyFinished(job);
+      interrupted++;
+    }
+  }
+  // Callbacks que no se llegaron a entregar antes del reinicio
+  for (const rec of finished) {
+    if (rec.webhook?.status === 'pending') notifyFinished(jobs.get(rec.id));
+  }
+  if (records.length) logger.info('jobs restored', { restored: records.length, requeued, interrupted });
+}
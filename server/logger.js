@@ -0,0 +1,60 @@
+import { randomUUID } from 'node:crypto';
+
+// Logger de líneas JSON: { ts, level, msg, ...campos }. Los campos de contexto
+// (requestId, route, jobId, userId, script) se fijan con `child()`.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+
+// x-request-id aceptado del cliente; si no cumple se genera uno nuevo
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+function errorFields(value) {
+  if (value instanceof Error) return { error: value.message };
+  return value;
+}
+
+function write(level, bindings, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const entry = { ts: new Date().toISOString(), level, msg: String(msg), ...bindings };
+  for (const [k, v] of Object.entries(fields || {})) {
+    if (v !== undefined) entry[k] = errorFields(v);
+  }
+  let line;
+  try { line = JSON.stringify(entry); } catch { line = JSON.stringify({ ts: entry.ts, level, msg: entry.msg }); }
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(line + '\n');
+}
+
+function createLogger(bindings = {}) {
+  return {
+    debug: (msg, fields) => write('debug', bindings, msg, fields),
+    info: (msg, fields) => write('info', bindings, msg, fields),
+    warn: (msg, fields) => write('warn', bindings, msg, fields),
+    error: (msg, fields) => write('error', bindings, msg, fields),
+    child: (more) => createLogger({ ...bindings, ...Object.fromEntries(Object.entries(more).filter(([, v]) => v != null)) }),
+    bindings,
+  };
+}
+
+export const logger = createLogger();
+
+// Logger con el contexto de un job
+export function jobLogger(job) {
+  return logger.child({ requestId: job.requestId, route: job.route, jobId: job.id, userId: job.params?.userUuid });
+}
+
+// Middleware: toma o genera el x-request-id, lo devuelve en la respuesta y deja
+// `req.requestId` y `req.log` para el resto de la cadena
+export function requestContext(req, res, next) {
+  const incoming = req.get('x-request-id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : randomUUID();
+  req.requestId = requestId;
+  req.log = logger.child({ requestId });
+  res.set('x-request-id', requestId);
+  const startedAt = Date.now();
+  res.on('finish', () => {
+    // Los probes de /health van a debug para no llenar el log
+    const level = req.path === '/health' ? 'debug' : 'info';
+    req.log[level]('request', { method: req.method, path: req.path, status: res.statusCode, durationMs: Date.now() - startedAt, apiKey: req.apiKey?.name });
+  });
+  next();
+}
@@ -0,0 +1,201 @@
+import fs from 'fs';
+
+// Métricas en formato de texto de Prometheus (GET /metrics), sin dependencias.
+// Contadores e histogramas por ruta/script; los gauges se calculan al momento del scrape.
+const metrics = [];
+const SAMPLE_INTERVAL_MS = Number(process.env.METRICS_SAMPLE_INTERVAL_MS || 5000);
+
+const escapeLabel = (value) => String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels).filter(([, v]) => v !== undefined && v !== null);
+  if (!entries.length) return '';
+  return `{${entries.map(([k, v]) => `${k}="${escapeLabel(v)}"`).join(',')}}`;
+}
+
+const seriesKey = (labels) => JSON.stringify(Object.entries(labels).sort(([a], [b]) => a.localeCompare(b)));
+
+function counter(name, help) {
+  const series = new Map();
+  const metric = {
+    name, help, type: 'counter',
+    inc(labels = {}, value = 1) {
+      const key = seriesKey(labels);
+      const s = series.get(key) || series.set(key, { labels, value: 0 }).get(key);
+      s.value += value;
+    },
+    lines: () => [...series.values()].map(s => `${name}${formatLabels(s.labels)} ${s.value}`),
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+// Gauge calculado al exponer: `collect()` devuelve [{ labels, value }]
+function gauge(name, help, collect) {
+  const metric = {
+    name, help, type: 'gauge',
+    lines: () => collect().map(s => `${name}${formatLabels(s.labels || {})} ${s.value}`),
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+function histogram(name, help, buckets) {
+  const series = new Map();
+  const metric = {
+    name, help, type: 'histogram',
+    observe(labels = {}, value) {
+      if (!Number.isFinite(value)) return;
+      const key = seriesKey(labels);
+      const s = series.get(key) || series.set(key, { labels, counts: buckets.map(() => 0), sum: 0, count: 0 }).get(key);
+      buckets.forEach((le, i) => { if (value <= le) s.counts[i]++; });
+      s.sum += value;
+      s.count++;
+    },
+    lines: () => [...series.values()].flatMap(s => [
+      ...buckets.map((le, i) => `${name}_bucket${formatLabels({ ...s.labels, le })} ${s.counts[i]}`),
+      `${name}_bucket${formatLabels({ ...s.labels, le: '+Inf' })} ${s.count}`,
+      `${name}_sum${formatLabels(s.labels)} ${s.sum}`,
+      `${name}_count${formatLabels(s.labels)} ${s.count}`,
+    ]),
+  };
+  metrics.push(metric);
+  return metric;
+}
+
+const scriptDuration = histogram('scraper_script_duration_seconds', 'Wall time of each scraper script run', [1, 5, 15, 30, 60, 120, 300, 600, 1200]);
+const scriptExits = counter('scraper_script_exits_total', 'Scraper script runs by exit code (124 = timeout, -1/-2 = spawn error)');
+const scriptTimeouts = counter('scraper_script_timeouts_total', 'Scraper script runs killed by SCRAPER_TIMEOUT_MS');
+const scriptPeakRss = histogram('scraper_script_peak_rss_bytes', 'Peak resident memory of a script and its children (Chromium)', [64e6, 128e6, 256e6, 512e6, 1e9, 2e9, 4e9]);
+const jobsFinished = counter('scraper_jobs_total', 'Finished jobs by route and final status');
+const jobItems = histogram('scraper_job_items', 'Items returned per job (rooms for /hotel, events for /events and /ticketmaster, hotels for /amadeus)', [0, 1, 5, 10, 25, 50, 100, 250, 500, 1000, 5000]);
+const emptyResults = counter('scraper_empty_results_total', 'Successful jobs that returned zero items');
+const cacheRequests = counter('scraper_cache_requests_total', 'Result cache lookups by route and result (hit/miss)');
+const browserRecycles = counter('scraper_browser_recycles_total', 'Pooled Chromium instances retired by reason (jobs, memory, crashed)');
+
+// Contadores que los scripts pueden incrementar vía el protocolo (mensaje `metric`)
+const scriptCounters = {
+  supabase_upsert_errors_total: counter('scraper_supabase_upsert_errors_total', 'Rows rejected by Supabase upserts (insertUserHotelPrices)'),
+};
+
+// --- Memoria de procesos hijos (Linux: suma el RSS del grupo de procesos del script) ---
+const tracked = new Map();
+let sampler = null;
+
+// Procesos de /proc con su padre, grupo y RSS (null fuera de Linux)
+function readProcesses() {
+  let entries;
+  try { entries = fs.readdirSync('/proc'); } catch { return null; }
+  const out = [];
+  for (const entry of entries) {
+    if (!/^\d+$/.test(entry)) continue;
+    try {
+      const stat = fs.readFileSync(`/proc/${entry}/stat`, 'utf8');
+      // Los campos tras `(comm)`: state ppid pgrp ... rss (campo 24, en páginas)
+      const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+      out.push({ pid: Number(entry), ppid: Number(fields[1]), pgrp: Number(fields[2]), rss: Number(fields[21]) * 4096 });
+    } catch {}
+  }
+  return out;
+}
+
+function readProcessGroupRss(pgid) {
+  const procs = readProcesses();
+  if (!procs) return null;
+  return procs.filter(p => p.pgrp === pgid).reduce((acc, p) => acc + p.rss, 0);
+}
+
+// RSS de `pid` y todos sus descendientes (p. ej. un Chromium del pool con sus renderers)
+export function processTreeRss(pid) {
+  const procs = readProcesses();
+  if (!procs) return null;
+  const byParent = new Map();
+  for (const p of procs) byParent.set(p.ppid, [...(byParent.get(p.ppid) || []), p]);
+  let total = 0;
+  const pending = procs.filter(p => p.pid === pid);
+  while (pending.length) {
+    const p = pending.pop();
+    total += p.rss;
+    pending.push(...(byParent.get(p.pid) || []));
+  }
+  return total;
+}
+
+function sampleTracked() {
+  for (const [pid, t] of tracked) {
+    const rss = readProcessGroupRss(pid);
+    if (rss == null) continue;
+    t.rss = rss;
+    t.peak = Math.max(t.peak, rss);
+  }
+}
+
+// Empieza a medir la memoria del script `pid`; devuelve stop() que registra el pico
+export function trackScriptMemory(pid, labels) {
+  if (!pid) return () => {};
+  tracked.set(pid, { labels, rss: 0, peak: 0 });
+  if (!sampler) {
+    sampler = setInterval(sampleTracked, SAMPLE_INTERVAL_MS);
+    sampler.unref();
+  }
+  return () => {
+    const t = tracked.get(pid);
+    tracked.delete(pid);
+    if (!tracked.size) { clearInterval(sampler); sampler = null; }
+    if (t?.peak) scriptPeakRss.observe(labels, t.peak);
+  };
+}
+
+gauge('scraper_script_rss_bytes', 'Current resident memory of running scripts and their children', () => {
+  sampleTracked();
+  return [...tracked.values()].map(t => ({ labels: t.labels, value: t.rss }));
+});
+
+// Resultado de una ejecución de runNodeScript
+export function observeScriptRun({ route, script }, { code, durationMs }) {
+  const labels = { route, script };
+  scriptDuration.observe(labels, durationMs / 1000);
+  scriptExits.inc({ ...labels, code: code ?? 'signal' });
+  if (code === 124) scriptTimeouts.inc(labels);
+}
+
+// Job terminado: estado final y cantidad de items devueltos (los aciertos de cache no cuentan como scrape)
+export function observeJob(job) {
+  jobsFinished.inc({ route: job.route, status: job.status });
+  const count = Number(job.result?.count);
+  if (job.status === 'succeeded' && !job.cache?.hit && Number.isFinite(count)) {
+    jobItems.observe({ route: job.route }, count);
+    if (count === 0) emptyResults.inc({ route: job.route });
+  }
+}
+
+export function observeCache(route, hit) {
+  cacheRequests.inc({ route, result: hit ? 'hit' : 'miss' });
+}
+
+export function observeBrowserRecycle(reason) {
+  browserRecycles.inc({ reason });
+}
+
+// Mensaje `metric` del protocolo: solo se aceptan contadores registrados
+export function observeScriptMetric({ route, script }, msg) {
+  const target = scriptCounters[msg?.name];
+  const value = Number(msg?.value ?? 1);
+  if (!target || !Number.isFinite(value) || value < 0) return;
+  target.inc({ route, script }, value);
+}
+
+// Gauge adicional definido fuera de este módulo (p. ej. la cola de admisión)
+export function registerGauge(name, help, collect) {
+  gauge(name, help, collect);
+}
+
+export function renderMetrics() {
+  const out = [];
+  for (const m of metrics) {
+    const lines = m.lines();
+    if (!lines.length && m.type !== 'gauge') continue;
+    out.push(`# HELP ${m.name} ${m.help}`, `# TYPE ${m.name} ${m.type}`, ...lines);
+  }
+  return out.join('\n') + '\n';
+}
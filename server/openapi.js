@@ -0,0 +1,177 @@
+import fs from 'fs';
+import path from 'path';
+import { toOpenApiSchema } from './validation.js';
+
+// Registro de rutas documentadas; GET /openapi.json se genera a partir de él
+const operations = [];
+
+const pkg = (() => {
+  try { return JSON.parse(fs.readFileSync(path.join(process.cwd(), 'package.json'), 'utf8')); } catch { return {}; }
+})();
+
+export const components = {
+  ErrorEnvelope: {
+    type: 'object',
+    required: ['ok', 'error'],
+    properties: { ok: { type: 'boolean', enum: [false] }, error: { type: 'string' } },
+  },
+  ValidationError: {
+    type: 'object',
+    required: ['ok', 'error', 'errors'],
+    properties: {
+      ok: { type: 'boolean', enum: [false] },
+      error: { type: 'string', enum: ['invalid request'] },
+      errors: {
+        type: 'array',
+        items: { type: 'object', required: ['field', 'message'], properties: { field: { type: 'string' }, message: { type: 'string' } } },
+      },
+    },
+  },
+  ScrapeEnvelope: {
+    type: 'object',
+    required: ['ok'],
+    properties: {
+      ok: { type: 'boolean' },
+      data: { type: 'array', items: { type: 'object' } },
+      count: { type: 'integer' },
+      code: { type: 'integer', nullable: true },
+      error: { type: 'string' },
+      cancelled: { type: 'boolean' },
+      durationMs: { type: 'integer' },
+      startedAt: { type: 'integer' },
+      requestId: { type: 'string' },
+    },
+  },
+  JobAccepted: {
+    type: 'object',
+    required: ['ok', 'jobId', 'status'],
+    properties: {
+      ok: { type: 'boolean' },
+      jobId: { type: 'string' },
+      status: { type: 'string' },
+      statusUrl: { type: 'string' },
+      resultUrl: { type: 'string' },
+      requestId: { type: 'string' },
+    },
+  },
+  Job: {
+    type: 'object',
+    required: ['id', 'route', 'status'],
+    properties: {
+      id: { type: 'string' },
+      route: { type: 'string' },
+      owner: { type: 'string', nullable: true, description: 'API key that created the job' },
+      requestId: { type: 'string', nullable: true, description: 'x-request-id of the request that created the job' },
+      scheduleId: { type: 'string', nullable: true, description: 'Schedule that started the job' },
+      status: { type: 'string', enum: ['queued', 'running', 'succeeded', 'failed', 'interrupted', 'cancelled'] },
+      params: { type: 'object' },
+      attempts: { type: 'integer' },
+      progress: { type: 'object', nullable: true },
+      queuePosition: { type: 'integer', nullable: true },
+      script: { type: 'string', nullable: true },
+      args: { type: 'array', items: { type: 'string' }, nullable: true },
+      createdAt: { type: 'integer' },
+      startedAt: { type: 'integer', nullable: true },
+      finishedAt: { type: 'integer', nullable: true },
+      durationMs: { type: 'integer', nullable: true },
+      elapsedMs: { type: 'integer' },
+      exitCode: { type: 'integer', nullable: true },
+      error: { type: 'string', nullable: true },
+      webhook: { type: 'object', nullable: true },
+      cache: { type: 'object', nullable: true, description: 'Set when the result was served from the cache ({ hit, ageMs, storedAt })' },
+    },
+  },
+  Schedule: {
+    type: 'object',
+    required: ['id', 'route', 'cron', 'timezone'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      route: { type: 'string' },
+      params: { type: 'object' },
+      cron: { type: 'string' },
+      timezone: { type: 'string' },
+      enabled: { type: 'boolean' },
+      owner: { type: 'string', nullable: true },
+      createdAt: { type: 'integer' },
+      nextRunAt: { type: 'integer', nullable: true },
+      lastRunAt: { type: 'integer', nullable: true },
+      lastJobId: { type: 'string', nullable: true },
+      lastStatus: { type: 'string', nullable: true },
+      lastError: { type: 'string', nullable: true },
+      runs: { type: 'integer' },
+      skipped: { type: 'integer' },
+    },
+  },
+  QueueFull: {
+    type: 'object',
+    properties: {
+      ok: { type: 'boolean', enum: [false] },
+      error: { type: 'string' },
+      retryAfter: { type: 'integer' },
+      queueDepth: { type: 'integer' },
+      maxQueued: { type: 'integer' },
+      running: { type: 'integer' },
+    },
+  },
+};
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const json = (schema, description) => ({ description, content: { 'application/json': { schema } } });
+
+// Respuestas comunes reutilizables en `describeRoute`
+export const responses = {
+  scrape: json(ref('ScrapeEnvelope'), 'Scrape result envelope'),
+  // Envelope de un provider: `data` con el schema de salida de sus elementos
+  scrapeOf: (items) => json({ allOf: [ref('ScrapeEnvelope'), { type: 'object', properties: { data: { type: 'array', items } } }] }, 'Scrape result envelope'),
+  accepted: json(ref('JobAccepted'), 'Job accepted (async mode)'),
+  invalid: json(ref('ValidationError'), 'Invalid request body'),
+  error: (description) => json(ref('ErrorEnvelope'), description),
+  queueFull: json(ref('QueueFull'), 'Browser queue full (see Retry-After header)'),
+  ok: (schema, description = 'OK') => json(schema, description),
+  ref,
+};
+
+// Documenta una operación: { summary, body (schema de validation.js), query, headers, responses }
+export function describeRoute(method, routePath, spec) {
+  operations.push({ method: method.toLowerCase(), path: routePath, ...spec });
+}
+
+// Convierte `/jobs/:id` en `/jobs/{id}` y lista los parámetros de ruta
+function openApiPath(routePath) {
+  const params = [];
+  const p = routePath.replace(/:([A-Za-z0-9_]+)/g, (_, name) => { params.push(name); return `{${name}}`; });
+  return { path: p, params };
+}
+
+export function buildOpenApi() {
+  const paths = {};
+  for (const op of operations) {
+    const { path: p, params } = openApiPath(op.path);
+    const operation = {
+      summary: op.summary,
+      tags: op.tags,
+      parameters: [
+        ...params.map(name => ({ name, in: 'path', required: true, schema: { type: 'string' } })),
+        ...(op.query || []).map(q => ({ in: 'query', required: false, ...q, schema: toOpenApiSchema(q.schema) })),
+        ...(op.headers || []).map(h => ({ in: 'header', required: false, ...h, schema: toOpenApiSchema(h.schema) })),
+      ],
+      responses: op.responses || { 200: responses.ok({ type: 'object' }) },
+    };
+    if (!operation.parameters.length) delete operation.parameters;
+    if (op.body) {
+      operation.requestBody = { required: true, content: { 'application/json': { schema: toOpenApiSchema(op.body) } } };
+    }
+    paths[p] = { ...(paths[p] || {}), [op.method]: operation };
+  }
+  return {
+    openapi: '3.0.3',
+    info: { title: pkg.name || 'arkus-scraper-worker', version: pkg.version || '0.0.0' },
+    components: {
+      securitySchemes: { apiKey: { type: 'apiKey', in: 'header', name: 'x-api-key' } },
+      schemas: Object.fromEntries(Object.entries(components).map(([k, v]) => [k, toOpenApiSchema(v)])),
+    },
+    security: [{ apiKey: [] }],
+    paths,
+  };
+}
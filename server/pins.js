@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { cacheDeletePrefix } from './cache.js';
+import { logger } from './logger.js';
+
+// Ficha de Booking fijada por usuario y nombre de hotel: /hotel la usa en lugar de buscar el nombre.
+// Se guarda al recibir `bookingUrl` o `propertyId` en /hotel; DELETE /hotel/pins la olvida.
+const PINS_FILE = process.env.HOTEL_PINS_FILE || path.join(process.cwd(), 'server', 'tmp', 'hotel-pins.json');
+
+let pins = null; // clave → { owner, userUuid, hotelName, propertyId, bookingUrl, pinnedAt }
+
+// "mx/grand-hotel-tijuana" o una URL de ficha (/hotel/mx/grand-hotel-tijuana.es.html?…) → id; null si no es una ficha
+export function propertyIdOf(value) {
+  const text = String(value || '').trim();
+  if (/^[a-z]{2}\/[a-z0-9-]+$/i.test(text)) return text.toLowerCase();
+  try {
+    const u = new URL(text);
+    if (!/(^|\.)booking\.com$/.test(u.hostname)) return null;
+    const m = u.pathname.match(/^\/hotel\/([a-z]{2})\/([a-z0-9-]+?)(\.[a-z-]+)?\.html$/i);
+    return m ? `${m[1]}/${m[2]}`.toLowerCase() : null;
+  } catch {
+    return null;
+  }
+}
+
+export function propertyUrl(propertyId) {
+  return `https://www.booking.com/hotel/${propertyId}.html`;
+}
+
+const keyOf = (owner, userUuid, hotelName) => [owner ?? '', userUuid, String(hotelName).trim().toLowerCase().replace(/\s+/g, ' ')].join('|');
+
+// Prefijo de las entradas de cache de /hotel de un usuario y nombre (providers/booking.js):
+// se borran al fijar u olvidar su ficha para no servir precios de otra
+export function pinCachePrefix({ owner = null, userUuid, hotelName }) {
+  return `hotel|${keyOf(owner, userUuid, hotelName)}|`;
+}
+
+function load() {
+  if (pins) return pins;
+  pins = new Map();
+  try {
+    for (const pin of JSON.parse(fs.readFileSync(PINS_FILE, 'utf8'))) pins.set(keyOf(pin.owner, pin.userUuid, pin.hotelName), pin);
+  } catch {}
+  return pins;
+}
+
+function save() {
+  const tmp = `${PINS_FILE}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(PINS_FILE), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify([...pins.values()], null, 2), 'utf8');
+    fs.renameSync(tmp, PINS_FILE);
+  } catch (e) {
+    logger.error('hotel pins save failed', { file: PINS_FILE, error: e });
+  }
+}
+
+export function getPin({ owner = null, userUuid, hotelName }) {
+  return load().get(keyOf(owner, userUuid, hotelName)) || null;
+}
+
+export function savePin({ owner = null, userUuid, hotelName, propertyId }) {
+  const pin = { owner, userUuid, hotelName: hotelName.trim(), propertyId, bookingUrl: propertyUrl(propertyId), pinnedAt: Date.now() };
+  const previous = getPin({ owner, userUuid, hotelName });
+  if (previous?.propertyId === propertyId) return previous;
+  pins.set(keyOf(owner, userUuid, hotelName), pin);
+  save();
+  cacheDeletePrefix(pinCachePrefix({ owner, userUuid, hotelName }));
+  logger.info('hotel pinned', { userUuid, hotelName: pin.hotelName, propertyId });
+  return pin;
+}
+
+export function deletePin({ owner = null, userUuid, hotelName }) {
+  const deleted = load().delete(keyOf(owner, userUuid, hotelName));
+  if (deleted) {
+    save();
+    cacheDeletePrefix(pinCachePrefix({ owner, userUuid, hotelName }));
+  }
+  return deleted;
+}
+
+// `owner` undefined: las de todas las API keys
+export function listPins({ owner, userUuid } = {}) {
+  return [...load().values()]
+    .filter(p => (owner === undefined || p.owner === owner) && (!userUuid || p.userUuid === userUuid))
+    .sort((a, b) => a.pinnedAt - b.pinnedAt);
+}
@@ -0,0 +1,63 @@
+import { processTreeRss } from './metrics.js';
+
+// Scripts en ejecución (procesos hijos o worker threads) para GET /admin/processes.
+// Se identifican por el PID del proceso o, en SCRAPER_RUNTIME=pool, por `thread-<threadId>`.
+const running = new Map(); // id → { id, pid, threadId, runtime, script, args, env, jobId, startedAt, leases, proc }
+
+const REDACTED = '[redacted]';
+// Nombres de variables/opciones con secretos y valores con forma de JWT
+const SECRET_NAME = /(jwt|token|secret|password|passwd|api[_-]?key|authorization)/i;
+const JWT_VALUE = /^(Bearer\s+)?eyJ[\w-]*\.[\w-]*\.[\w-]*$/;
+
+function redactArgs(args) {
+  return args.map((arg) => {
+    const option = /^(--?[^=]+)=(.*)$/.exec(arg);
+    if (option && SECRET_NAME.test(option[1])) return `${option[1]}=${REDACTED}`;
+    return JWT_VALUE.test(arg) ? REDACTED : arg;
+  });
+}
+
+function redactEnv(env) {
+  return Object.fromEntries(Object.entries(env).map(([name, value]) => (
+    [name, value && (SECRET_NAME.test(name) || JWT_VALUE.test(String(value))) ? REDACTED : value]
+  )));
+}
+
+// Registra un script recién lanzado; devuelve la función que lo quita al terminar.
+// `env` son solo las variables añadidas por el server (no el entorno completo del proceso).
+export function trackProcess(proc, { runtime, script, args = [], env = {}, leases = null }) {
+  const id = proc.pid ? String(proc.pid) : `thread-${proc.threadId}`;
+  running.set(id, { id, pid: proc.pid ?? null, threadId: proc.threadId ?? null, runtime, script, args, env, jobId: env.JOB_ID || null, startedAt: Date.now(), leases, proc });
+  return () => running.delete(id);
+}
+
+export function getProcess(id) {
+  return running.get(String(id)) || null;
+}
+
+// Vista pública de un script: secretos ocultos y memoria del árbol de procesos (incluye Chromium).
+// En un worker thread la memoria propia no se puede separar del server: se informan los
+// navegadores del pool que tiene reservados (compartidos con otros jobs).
+export function processInfo(entry) {
+  const now = Date.now();
+  return {
+    id: entry.id,
+    pid: entry.pid,
+    threadId: entry.threadId,
+    runtime: entry.runtime,
+    script: entry.script,
+    args: redactArgs(entry.args),
+    env: redactEnv(entry.env),
+    jobId: entry.jobId,
+    startedAt: entry.startedAt,
+    elapsedMs: now - entry.startedAt,
+    rss: entry.pid ? processTreeRss(entry.pid) : null,
+    browsers: entry.leases
+      ? entry.leases.map(lease => ({ id: lease.browserId, pid: lease.pid, rss: lease.pid ? processTreeRss(lease.pid) : null }))
+      : undefined,
+  };
+}
+
+export function listProcesses() {
+  return [...running.values()].sort((a, b) => a.startedAt - b.startedAt).map(processInfo);
+}
@@ -0,0 +1,44 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+// Registro de providers de scraping: un módulo por fuente en server/providers/ con `export default`:
+//   name       → POST /scrape/<name> (minúsculas, dígitos y guiones)
+//   route      → nombre del job y sufijo de CACHE_TTL_/JOB_RETRIES_ (default: name)
+//   scope      → scope de la API key requerido (default: route)
+//   aliases    → rutas previas que responden igual (p. ej. ['/hotel'])
+//   summary, input (schema del body), output (schema de cada elemento de `data`)
+//   maxRetries, browser, drainable, cache: { ttlSeconds, key(body, { owner }) } (ver mountProvider en index.js)
+//   check(body, { scheduled }) → [{ field, message }] validaciones entre campos (opcional);
+//     `scheduled`: params de POST /schedules, que se guardan sin userJwt
+//   run(input, { job, log, runScript }) → { data, count?, ok?, error?, ...campos extra del envelope }
+//     runScript(script, args, env) → { code, stdout, stderr, durationMs, result, payload, dates }
+const providers = new Map();
+
+export function registerProvider(provider) {
+  const name = provider?.name;
+  if (!/^[a-z][a-z0-9-]{0,31}$/.test(String(name))) throw new Error(`invalid provider name "${name}"`);
+  if (providers.has(name)) throw new Error(`provider "${name}" already registered`);
+  if (!provider.input || typeof provider.run !== 'function') throw new Error(`provider "${name}" needs input and run()`);
+  const def = { route: name, scope: provider.route || name, aliases: [], output: null, maxRetries: 0, browser: false, drainable: false, cache: null, ...provider };
+  providers.set(name, def);
+  return def;
+}
+
+export function getProvider(name) {
+  return providers.get(String(name)) || null;
+}
+
+export function listProviders() {
+  return [...providers.values()];
+}
+
+// Carga los providers de server/providers/ (orden alfabético) y devuelve la lista completa
+export async function loadProviders(dir = path.join(path.dirname(fileURLToPath(import.meta.url)), 'providers')) {
+  const files = fs.readdirSync(dir).filter(f => f.endsWith('.js')).sort();
+  for (const file of files) {
+    const mod = await import(pathToFileURL(path.join(dir, file)).href);
+    registerProvider(mod.default);
+  }
+  return listProviders();
+}
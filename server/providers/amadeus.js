@@ -0,0 +1,25 @@
+import { pointKey } from '../cache.js';
+import { amadeusBody, amadeusHotel } from '../schemas.js';
+
+// Amadeus: hoteles cerca de un punto, opcionalmente guardados en Supabase (scripts/amadeus_hotels.js)
+export default {
+  name: 'amadeus',
+  aliases: ['/amadeus'],
+  summary: 'Hotels near a point (Amadeus)',
+  input: amadeusBody,
+  output: amadeusHotel,
+  maxRetries: 1,
+  // Solo cachear cuando NO hay operación de guardado (sin efectos secundarios)
+  cache: { ttlSeconds: 24 * 3600, key: (body) => (body.saveToDb ? null : `amadeus|${pointKey(body)}|${String(body.keyword || '').trim().toLowerCase()}`) },
+  async run(input, { runScript }) {
+    const { latitude, longitude, radius = 30, keyword = null, saveToDb = false, userUuid = null } = input;
+    const args = [String(latitude), String(longitude), `--radius=${radius}`];
+    if (keyword) args.push(`--keyword=${keyword}`);
+    if (saveToDb && userUuid) args.push(`--user-id=${userUuid}`, '--save');
+    const run = await runScript('scripts/amadeus_hotels.js', args);
+    const data = Array.isArray(run.payload) ? run.payload : [];
+    // `output` conserva el JSON crudo que devolvía esta ruta antes del protocolo
+    const output = run.result !== undefined ? JSON.stringify(run.result, null, 2) : run.stdout;
+    return { data, output };
+  },
+};
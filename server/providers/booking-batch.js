@@ -0,0 +1,33 @@
+import { hotelBatchBody, hotelBatchItem } from '../schemas.js';
+
+// Lote de hoteles de Booking en un solo job: un navegador compartido y `concurrency` páginas para
+// todo el lote (scripts/hotel_propio.js --batch). Solo lectura; los errores se reportan por hotel.
+export default {
+  name: 'booking-batch',
+  route: 'hotel_batch',
+  scope: 'hotel',
+  aliases: ['/hotels/batch'],
+  summary: 'Booking room prices for a set of hotels in one job',
+  input: hotelBatchBody,
+  output: hotelBatchItem,
+  maxRetries: 0,
+  browser: true,
+  drainable: true,
+  async run(input, { runScript, log }) {
+    const { hotels, days = 1, concurrency = 3, currency = 'MXN', headless = true } = input;
+    const args = ['--batch', ...hotels, `--days=${days}`, `--concurrency=${concurrency}`, `--currency=${currency}`];
+    if (headless) args.push('--headless');
+    const run = await runScript('scripts/hotel_propio.js', args);
+    // Sin `result` (el script murió): agrupar por hotel las fechas que alcanzó a enviar
+    const data = Array.isArray(run.payload) ? run.payload : hotels.map((hotel) => {
+      const days = run.dates.filter(d => d.hotel === hotel).map(({ date, rooms }) => ({ date, rooms }));
+      const count = days.reduce((acc, d) => acc + d.rooms.length, 0);
+      return { hotel, url: null, ok: count > 0, data: days, count, failures: 0, error: count > 0 ? null : 'script exited without a result' };
+    });
+    const rooms = data.reduce((acc, h) => acc + (h.count || 0), 0);
+    const failed = data.filter(h => !h.ok).map(h => h.hotel);
+    if (failed.length) log.warn('hotels without prices', { failed, total: hotels.length });
+    log.info('hotel batch scraped', { hotels: hotels.length, rooms, durationMs: run.durationMs });
+    return { data, count: data.length, rooms, failed: failed.length };
+  },
+};
@@ -0,0 +1,29 @@
+import { getPin } from '../pins.js';
+import { hotelCandidate, hotelResolveBody } from '../schemas.js';
+
+// Fichas de Booking que coinciden con un nombre de hotel, mejor puntuadas primero
+// (scripts/hotel_propio.js --resolve). El cliente confirma una y la fija en /hotel con bookingUrl o propertyId.
+export default {
+  name: 'booking-resolve',
+  route: 'hotel_resolve',
+  scope: 'hotel',
+  aliases: ['/hotel/resolve'],
+  summary: 'Ranked Booking properties for a hotel name, to confirm before scraping',
+  input: hotelResolveBody,
+  output: hotelCandidate,
+  maxRetries: 1,
+  browser: true,
+  // La marca `pinned` depende del usuario: solo se cachean las búsquedas sin userUuid
+  cache: { ttlSeconds: 6 * 60 * 60, key: (body) => (body.userUuid ? null : `hotel_resolve|${body.hotelName.trim().toLowerCase()}|${(body.city || '').trim().toLowerCase()}|${body.limit}`) },
+  async run(input, { runScript, log, job }) {
+    const { hotelName, city, userUuid, limit = 5, headless = true } = input;
+    const args = ['--resolve', hotelName, `--limit=${limit}`];
+    if (city) args.push(`--city=${city}`);
+    if (headless) args.push('--headless');
+    const run = await runScript('scripts/hotel_propio.js', args);
+    const pin = userUuid ? getPin({ owner: job.owner, userUuid, hotelName }) : null;
+    const data = (Array.isArray(run.payload) ? run.payload : []).map(c => (pin ? { ...c, pinned: c.propertyId === pin.propertyId } : c));
+    log.info('hotel resolved', { hotelName, city, candidates: data.length, durationMs: run.durationMs });
+    return { data, pinned: pin ? { propertyId: pin.propertyId, bookingUrl: pin.bookingUrl, pinnedAt: pin.pinnedAt } : null };
+  },
+};
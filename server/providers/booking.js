@@ -0,0 +1,71 @@
+import { getPin, pinCachePrefix, propertyIdOf, propertyUrl, savePin } from '../pins.js';
+import { bookingDay, hotelBody } from '../schemas.js';
+
+// Credencial de Supabase para las corridas programadas que guardan (el schedule no guarda userJwt):
+// un JWT con permiso de escritura, p. ej. la service role key
+const SCHEDULES_JWT = process.env.SCHEDULES_SUPABASE_JWT || '';
+
+// Tope de páginas por job: 365 días de una sola estancia o, p. ej., 90 días × 4 estancias × 2 ocupaciones
+const MAX_PAGES = 1000;
+
+// Matriz de estancias normalizada (para la clave de cache): "1,2,7|1,2"
+const stayKey = ({ lengthsOfStay = [1], adults = [1] }) => [lengthsOfStay, adults].map(list => [...new Set(list)].sort((a, b) => a - b).join(',')).join('|');
+
+// Booking.com: tarifas por tipo de habitación para los próximos `days` días y cada
+// combinación de noches (`lengthsOfStay`) y adultos (scripts/hotel_propio.js)
+export default {
+  name: 'booking',
+  route: 'hotel',
+  aliases: ['/hotel'],
+  summary: 'Booking room prices for a hotel over the next N days',
+  input: hotelBody,
+  output: bookingDay,
+  // Scrape largo con upserts en Supabase: por defecto no se relanza solo tras un reinicio
+  maxRetries: 0,
+  browser: true,
+  drainable: true,
+  // Solo las corridas de lectura (saveToDb: false); las fechas parten de hoy, así que el día va en la clave.
+  // La ficha fijada depende de la API key y el usuario: van en la clave junto con la ficha que se scrapea
+  cache: {
+    ttlSeconds: 30 * 60,
+    key: (body, { owner = null } = {}) => {
+      if (body.saveToDb) return null;
+      const { userUuid, hotelName } = body;
+      const propertyId = propertyIdOf(body.bookingUrl || body.propertyId) || getPin({ owner, userUuid, hotelName })?.propertyId || '';
+      return `${pinCachePrefix({ owner, userUuid, hotelName })}${propertyId}|${body.days}|${stayKey(body)}|${new Date().toISOString().slice(0, 10)}`;
+    },
+  },
+  check(body, { scheduled = false } = {}) {
+    const errors = [];
+    // Cada fecha se consulta una vez por combinación noches × adultos
+    const pages = body.days * new Set(body.lengthsOfStay).size * new Set(body.adults).size;
+    if (pages > MAX_PAGES) errors.push({ field: 'days', message: `days × lengthsOfStay × adults must be at most ${MAX_PAGES} (got ${pages})` });
+    if (body.bookingUrl && !propertyIdOf(body.bookingUrl)) errors.push({ field: 'bookingUrl', message: 'must be a Booking hotel page (https://www.booking.com/hotel/…)' });
+    if (body.bookingUrl && body.propertyId) errors.push({ field: 'propertyId', message: 'use either bookingUrl or propertyId' });
+    if (scheduled && body.saveToDb && !SCHEDULES_JWT) errors.push({ field: 'saveToDb', message: 'scheduled runs have no userJwt: set saveToDb to false or configure SCHEDULES_SUPABASE_JWT' });
+    return errors;
+  },
+  async run(input, { runScript, log, job }) {
+    const { userUuid, hotelName, days = 1, concurrency = 3, headless = true, saveToDb = true, userJwt = '', lengthsOfStay = [1], adults = [1] } = input;
+    const args = [userUuid, hotelName, `--days=${days}`, `--concurrency=${concurrency}`];
+    // Ficha pedida (se fija para este usuario y nombre) o la fijada antes; sin ninguna, el script busca el nombre
+    const requested = propertyIdOf(input.bookingUrl || input.propertyId);
+    const pin = requested
+      ? savePin({ owner: job.owner, userUuid, hotelName, propertyId: requested })
+      : getPin({ owner: job.owner, userUuid, hotelName });
+    if (pin) args.push(`--url=${propertyUrl(pin.propertyId)}`);
+    const [los, occupancy] = stayKey({ lengthsOfStay, adults }).split('|');
+    if (los !== '1' || occupancy !== '1') args.push(`--los=${los}`, `--adults=${occupancy}`);
+    if (headless) args.push('--headless');
+    if (!saveToDb) args.push('--no-save');
+    const run = await runScript('scripts/hotel_propio.js', args, { USER_JWT: userJwt || (job.scheduleId ? SCHEDULES_JWT : '') });
+    // Sin `result` (el script murió): las fechas que alcanzó a enviar como `partial`
+    const data = Array.isArray(run.payload) ? run.payload : run.dates;
+    const count = data.reduce((acc, d) => acc + (Array.isArray(d?.rooms) ? d.rooms.length : 0), 0);
+    if (run.code !== 0 && count === 0) {
+      log.error('non-zero exit or empty data', { code: run.code, stderr: String(run.stderr || '').slice(0, 400), durationMs: run.durationMs });
+    }
+    log.info('hotel scraped', { hotelName, propertyId: pin?.propertyId, rooms: count, durationMs: run.durationMs });
+    return { data, count, property: pin ? { propertyId: pin.propertyId, bookingUrl: pin.bookingUrl, pinnedAt: pin.pinnedAt } : null };
+  },
+};
@@ -0,0 +1,26 @@
+import { pointKey } from '../cache.js';
+import { eventItem, eventsBody } from '../schemas.js';
+
+// Songkick: conciertos cerca de un punto (scripts/scrape_songkick.js)
+export default {
+  name: 'songkick',
+  route: 'events',
+  aliases: ['/events'],
+  summary: 'Songkick events near a point',
+  input: eventsBody,
+  output: eventItem,
+  maxRetries: 1,
+  browser: true,
+  cache: { ttlSeconds: 3600, key: (body) => `events|${pointKey(body)}` },
+  async run(input, { runScript, log }) {
+    const { latitude, longitude, radius = 50 } = input;
+    const run = await runScript('scripts/scrape_songkick.js', [String(latitude), String(longitude), String(radius)], { DEBUG: 'true' });
+    const data = Array.isArray(run.payload) ? run.payload : [];
+    if (data.length === 0) {
+      log.warn('0 events', { latitude, longitude, radius });
+    }
+    log.info('events scraped', { items: data.length, durationMs: run.durationMs });
+    // Con DEBUG el stderr del script es largo: solo el comienzo como error
+    return { data, error: run.stderr ? String(run.stderr).slice(0, 400) : undefined };
+  },
+};
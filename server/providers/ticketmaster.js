@@ -0,0 +1,24 @@
+import { pointKey } from '../cache.js';
+import { eventItem, ticketmasterBody } from '../schemas.js';
+
+// Ticketmaster Discovery API: eventos cerca de un punto (scripts/scrapeo_geo.js)
+export default {
+  name: 'ticketmaster',
+  aliases: ['/ticketmaster'],
+  summary: 'Ticketmaster events near a point',
+  input: ticketmasterBody,
+  output: eventItem,
+  maxRetries: 1,
+  cache: { ttlSeconds: 3600, key: (body) => `ticketmaster|${pointKey(body)}` },
+  async run(input, { runScript, log }) {
+    const { latitude, longitude, radius = 10 } = input;
+    const hasKey = !!process.env.TICKETMASTER_API_KEY;
+    if (!hasKey) {
+      log.warn('No API key present');
+    }
+    const run = await runScript('scripts/scrapeo_geo.js', [String(latitude), String(longitude), String(radius)]);
+    const data = Array.isArray(run.payload) ? run.payload : [];
+    log.info('ticketmaster scraped', { items: data.length, durationMs: run.durationMs, hasKey });
+    return { data, note: hasKey ? undefined : 'No API key' };
+  },
+};
@@ -0,0 +1,161 @@
+import { randomUUID } from 'node:crypto';
+import fs from 'fs';
+import path from 'path';
+import { getJob, isFinished, onJobFinished } from './jobs.js';
+import { nextRun, parseCron } from './cron.js';
+import { logger } from './logger.js';
+
+// Scrapes recurrentes (cron + zona horaria). El scheduler revisa cada SCHEDULER_TICK_MS
+// qué schedules vencieron y los encola con `submit(schedule)` (ver startScheduler).
+const SCHEDULES_FILE = process.env.SCHEDULES_FILE || path.join(process.cwd(), 'server', 'tmp', 'schedules.json');
+const TICK_MS = Math.max(100, Number(process.env.SCHEDULER_TICK_MS || 15000));
+
+const schedules = new Map();
+const crons = new Map(); // id → cron parseado
+let submit = null;
+let ticker = null;
+
+// Parámetros que no se guardan en disco (el job programado corre sin ellos)
+const SECRET_PARAMS = ['userJwt'];
+
+function save() {
+  const tmp = `${SCHEDULES_FILE}.tmp`;
+  try {
+    fs.mkdirSync(path.dirname(SCHEDULES_FILE), { recursive: true });
+    fs.writeFileSync(tmp, JSON.stringify([...schedules.values()], null, 2), 'utf8');
+    fs.renameSync(tmp, SCHEDULES_FILE);
+  } catch (e) {
+    logger.error('schedules save failed', { file: SCHEDULES_FILE, error: e });
+  }
+}
+
+function scheduleNext(schedule, from = Date.now()) {
+  schedule.nextRunAt = schedule.enabled ? nextRun(crons.get(schedule.id), from, schedule.timezone) : null;
+}
+
+// Registra un schedule ya validado: { name, route, params, cron, timezone, enabled }
+export function createSchedule({ name, route, params, cron, timezone, enabled = true }, { owner = null } = {}) {
+  const parsed = parseCron(cron);
+  const stored = { ...params };
+  for (const k of SECRET_PARAMS) delete stored[k];
+  const schedule = {
+    id: randomUUID(),
+    name: name || `${route} ${cron}`,
+    route,
+    params: stored,
+    cron,
+    timezone,
+    enabled,
+    owner,
+    createdAt: Date.now(),
+    nextRunAt: null,
+    lastRunAt: null,
+    lastJobId: null,
+    lastStatus: null,
+    lastError: null,
+    runs: 0,
+    skipped: 0,
+  };
+  crons.set(schedule.id, parsed);
+  scheduleNext(schedule);
+  schedules.set(schedule.id, schedule);
+  save();
+  logger.info('schedule created', { scheduleId: schedule.id, route, cron, timezone, nextRunAt: schedule.nextRunAt });
+  return schedule;
+}
+
+export function getSchedule(id) {
+  return schedules.get(String(id)) || null;
+}
+
+export function listSchedules({ owner } = {}) {
+  return [...schedules.values()]
+    .filter(s => owner === undefined || s.owner === owner)
+    .sort((a, b) => a.createdAt - b.createdAt);
+}
+
+export function deleteSchedule(schedule) {
+  schedules.delete(schedule.id);
+  crons.delete(schedule.id);
+  save();
+  logger.info('schedule deleted', { scheduleId: schedule.id });
+}
+
+// Encola una corrida ahora. No lanza una nueva si la anterior sigue en curso.
+// Devuelve { job } o { skipped: motivo }.
+export function runSchedule(schedule, { manual = false } = {}) {
+  const previous = schedule.lastJobId ? getJob(schedule.lastJobId) : null;
+  let outcome;
+  if (previous && !isFinished(previous)) {
+    schedule.skipped++;
+    outcome = { skipped: 'previous run still active', job: previous };
+  } else {
+    try {
+      const result = submit(schedule);
+      if (result.job) {
+        schedule.runs++;
+        schedule.lastRunAt = Date.now();
+        schedule.lastJobId = result.job.id;
+        schedule.lastStatus = result.job.status;
+        schedule.lastError = null;
+        outcome = { job: result.job };
+      } else {
+        schedule.skipped++;
+        schedule.lastError = result.skipped;
+        outcome = { skipped: result.skipped };
+      }
+    } catch (e) {
+      schedule.lastStatus = 'failed';
+      schedule.lastError = String(e?.message || e);
+      outcome = { skipped: schedule.lastError };
+    }
+  }
+  if (!manual) scheduleNext(schedule);
+  save();
+  logger.info('schedule run', { scheduleId: schedule.id, route: schedule.route, manual, jobId: outcome.job?.id, skipped: outcome.skipped, nextRunAt: schedule.nextRunAt });
+  return outcome;
+}
+
+function tick() {
+  const now = Date.now();
+  for (const schedule of schedules.values()) {
+    if (schedule.enabled && schedule.nextRunAt && schedule.nextRunAt <= now) runSchedule(schedule);
+  }
+}
+
+// Resultado de la última corrida de cada schedule
+onJobFinished((job) => {
+  for (const schedule of schedules.values()) {
+    if (schedule.lastJobId !== job.id) continue;
+    schedule.lastStatus = job.status;
+    schedule.lastError = job.error || null;
+    save();
+  }
+});
+
+// Carga los schedules guardados y arranca el ticker. `submitFn(schedule)` crea el job
+// y devuelve { job } o { skipped: motivo }. Las corridas perdidas mientras el worker
+// estaba apagado no se recuperan: se programa la siguiente a partir de ahora.
+export function startScheduler(submitFn) {
+  submit = submitFn;
+  let saved = [];
+  try { saved = JSON.parse(fs.readFileSync(SCHEDULES_FILE, 'utf8')); } catch {}
+  for (const schedule of Array.isArray(saved) ? saved : []) {
+    try {
+      crons.set(schedule.id, parseCron(schedule.cron));
+    } catch (e) {
+      logger.error('ignoring schedule with invalid cron', { scheduleId: schedule.id, cron: schedule.cron, error: e });
+      continue;
+    }
+    scheduleNext(schedule);
+    schedules.set(schedule.id, schedule);
+  }
+  if (schedules.size) logger.info('schedules restored', { count: schedules.size });
+  ticker = setInterval(tick, TICK_MS);
+  ticker.unref();
+}
+
+export function stopScheduler() {
+  clearInterval(ticker);
+  ticker = null;
+}
@@ -0,0 +1,254 @@
+// Schemas de los bodies de cada ruta (ver validation.js y GET /openapi.json)
+
+// Ids usados también como nombre de archivo (stop-<userUuid>.txt): sin rutas ni espacios
+// Ni el id ni los nombres de hotel pueden empezar con "-": van como argumentos posicionales de
+// scripts/hotel_propio.js y se leerían como opciones (--days=400, --url=…, --batch)
+const userUuid = { type: 'string', pattern: '^[A-Za-z0-9_][A-Za-z0-9_-]{0,63}$', description: 'User id (UUID)' };
+const hotelName = { type: 'string', minLength: 2, maxLength: 200, pattern: '^[^-]' };
+const latitude = { type: 'number', minimum: -90, maximum: 90 };
+const longitude = { type: 'number', minimum: -180, maximum: 180 };
+const radius = (def, max) => ({ type: 'number', minimum: 1, maximum: max, default: def, description: 'Search radius in km' });
+
+// Opciones comunes a todas las rutas de scraping (modo job)
+const jobOptions = {
+  async: { type: 'boolean', default: false, description: 'Return a job id immediately (HTTP 202) instead of waiting' },
+  callbackUrl: { type: 'string', format: 'http-url', maxLength: 2048, description: 'POST the final envelope here when the job ends (signed)' },
+  forceRefresh: { type: 'boolean', default: false, description: 'Skip the result cache and scrape again (the new result is cached)' },
+};
+
+export const hotelBody = {
+  type: 'object',
+  required: ['userUuid', 'hotelName'],
+  properties: {
+    userUuid,
+    hotelName,
+    days: { type: 'integer', minimum: 1, maximum: 365, default: 1 },
+    concurrency: { type: 'integer', minimum: 1, maximum: 5, default: 3 },
+    lengthsOfStay: { type: 'array', minItems: 1, maxItems: 7, items: { type: 'integer', minimum: 1, maximum: 30 }, default: [1], description: 'Nights per stay, each scraped for every check-in date' },
+    adults: { type: 'array', minItems: 1, maxItems: 4, items: { type: 'integer', minimum: 1, maximum: 8 }, default: [1], description: 'Occupancies (adults per room) to price' },
+    headless: { type: 'boolean', default: true },
+    saveToDb: { type: 'boolean', default: true, description: 'Upsert prices into Supabase; read-only runs (false) are cached' },
+    userJwt: { type: 'string', maxLength: 4096, description: 'Supabase user JWT for RLS' },
+    bookingUrl: { type: 'string', format: 'http-url', maxLength: 2048, description: 'Booking hotel page to scrape instead of searching hotelName. Pinned for this userUuid and hotelName' },
+    propertyId: { type: 'string', pattern: '^[A-Za-z]{2}/[A-Za-z0-9-]{1,150}$', description: 'Booking property id from POST /hotel/resolve, e.g. "mx/grand-hotel-tijuana". Pinned like bookingUrl' },
+    ...jobOptions,
+  },
+};
+
+// Candidatos de Booking para un nombre (se confirma uno y se fija con bookingUrl/propertyId en /hotel)
+export const hotelResolveBody = {
+  type: 'object',
+  required: ['hotelName'],
+  properties: {
+    hotelName,
+    city: { type: 'string', minLength: 2, maxLength: 100, description: 'Narrows the search and ranks hotels in this city first' },
+    userUuid: { ...userUuid, description: 'Marks the candidate already pinned for this user and hotelName' },
+    limit: { type: 'integer', minimum: 1, maximum: 10, default: 5 },
+    headless: { type: 'boolean', default: true },
+    ...jobOptions,
+  },
+};
+
+// DELETE /hotel/pins
+export const hotelPinBody = {
+  type: 'object',
+  required: ['userUuid', 'hotelName'],
+  properties: {
+    userUuid,
+    hotelName,
+  },
+};
+
+// Lote de competidores: nombres a buscar o URLs de fichas de Booking (/hotel/...)
+export const hotelBatchBody = {
+  type: 'object',
+  required: ['hotels'],
+  properties: {
+    hotels: {
+      type: 'array',
+      minItems: 1,
+      maxItems: 20,
+      items: { type: 'string', minLength: 2, maxLength: 500, pattern: '^[^-]' },
+      description: 'Hotel names or Booking hotel URLs',
+    },
+    days: { type: 'integer', minimum: 1, maximum: 365, default: 1 },
+    currency: { type: 'string', enum: ['MXN', 'USD', 'EUR'], default: 'MXN' },
+    concurrency: { type: 'integer', minimum: 1, maximum: 5, default: 3, description: 'Pages scraped in parallel across the whole batch' },
+    headless: { type: 'boolean', default: true },
+    ...jobOptions,
+  },
+};
+
+export const amadeusBody = {
+  type: 'object',
+  required: ['latitude', 'longitude'],
+  properties: {
+    latitude,
+    longitude,
+    radius: radius(30, 300),
+    keyword: { type: 'string', maxLength: 100, nullable: true, default: null },
+    saveToDb: { type: 'boolean', default: false },
+    userUuid: { ...userUuid, nullable: true, default: null },
+    ...jobOptions,
+  },
+};
+
+export const eventsBody = {
+  type: 'object',
+  required: ['latitude', 'longitude'],
+  properties: {
+    latitude,
+    longitude,
+    radius: radius(50, 200),
+    userUuid: { ...userUuid, nullable: true },
+    hotelName: { type: 'string', maxLength: 200 },
+    ...jobOptions,
+  },
+};
+
+export const ticketmasterBody = {
+  type: 'object',
+  required: ['latitude', 'longitude'],
+  properties: {
+    latitude,
+    longitude,
+    radius: radius(10, 200),
+    userUuid: { ...userUuid, nullable: true },
+    ...jobOptions,
+  },
+};
+
+export const selectHotelBody = {
+  type: 'object',
+  required: ['userUuid'],
+  properties: {
+    userUuid,
+    hotelName: { type: 'string', maxLength: 200, default: '' },
+  },
+};
+
+export const clearSelectionBody = {
+  type: 'object',
+  required: ['userUuid'],
+  properties: { userUuid },
+};
+
+// POST /schedules: `params` es el body de la ruta (se valida con su schema).
+// El enum de `route` lo llena index.js con las rutas de los providers montados
+export const scheduleBody = {
+  type: 'object',
+  required: ['route', 'params', 'cron'],
+  properties: {
+    name: { type: 'string', maxLength: 100 },
+    route: { type: 'string', enum: [], description: 'Provider route, e.g. "hotel" or "hotel_batch" (see GET /providers)' },
+    params: { type: 'object', description: 'Request body for the route (userJwt is not stored; scheduled /hotel runs that save use SCHEDULES_SUPABASE_JWT)' },
+    cron: { type: 'string', maxLength: 100, description: 'minute hour day-of-month month day-of-week, e.g. "0 3 * * *" or "0 */6 * * *"' },
+    timezone: { type: 'string', maxLength: 64, default: 'UTC', description: 'IANA time zone, e.g. America/Tijuana' },
+    enabled: { type: 'boolean', default: true },
+  },
+};
+
+// --- Salida de los providers: schema de cada elemento de `data` (GET /providers, /openapi.json) ---
+
+// Una fila de la tabla de habitaciones de Booking (plan de tarifa)
+export const ratePlan = {
+  type: 'object',
+  required: ['price'],
+  properties: {
+    price: { type: 'string' },
+    amount: { type: 'number', nullable: true },
+    currency: { type: 'string' },
+    raw: { type: 'string', nullable: true },
+    taxes_and_fees: { type: 'number', nullable: true },
+    includes_taxes: { type: 'boolean' },
+    cancellation: { type: 'string', nullable: true, description: 'Cancellation policy as shown, e.g. "Free cancellation before 14 October 2026"' },
+    refundable: { type: 'boolean', nullable: true, description: 'false for non-refundable rates, true with free cancellation, null when not shown' },
+    free_cancellation_until: { type: 'string', nullable: true },
+    meal_plan: { type: 'string', enum: ['room_only', 'breakfast', 'half_board', 'full_board', 'all_inclusive'], nullable: true },
+    max_occupancy: { type: 'integer', nullable: true },
+    scarcity: { type: 'string', nullable: true, description: 'e.g. "Only 2 rooms left on our site"' },
+    conditions: { type: 'array', items: { type: 'string' } },
+  },
+};
+
+export const bookingDay = {
+  type: 'object',
+  required: ['date', 'rooms'],
+  properties: {
+    date: { type: 'string', format: 'date', description: 'Check-in date' },
+    checkout: { type: 'string', format: 'date' },
+    los: { type: 'integer', description: 'Length of stay in nights' },
+    adults: { type: 'integer' },
+    rooms: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['room_type', 'price'],
+        properties: {
+          room_type: { type: 'string' },
+          price: { type: 'string', description: 'Price as shown by Booking, e.g. "MXN 1,234"' },
+          amount: { type: 'number', nullable: true, description: 'Numeric price for the whole stay, e.g. 1234' },
+          currency: { type: 'string', description: 'ISO 4217 code, e.g. "MXN"' },
+          raw: { type: 'string', nullable: true, description: 'Price text the amount was parsed from' },
+          taxes_and_fees: { type: 'number', nullable: true, description: 'Taxes and charges on top of amount, when Booking shows them' },
+          includes_taxes: { type: 'boolean', description: 'Whether amount already includes taxes and charges' },
+          rates: { type: 'array', items: ratePlan, description: 'Every rate plan of the room, cheapest first. The fields above summarize the cheapest one' },
+        },
+      },
+    },
+  },
+};
+
+// Resultado por hotel de un lote: sus días (como bookingDay) o el error que lo dejó fuera
+export const hotelBatchItem = {
+  type: 'object',
+  required: ['hotel', 'ok', 'data'],
+  properties: {
+    hotel: { type: 'string' },
+    url: { type: 'string', nullable: true, description: 'Booking hotel page that was scraped' },
+    ok: { type: 'boolean' },
+    data: { type: 'array', items: bookingDay },
+    count: { type: 'integer', description: 'Rooms found across all days' },
+    failures: { type: 'integer', description: 'Days whose page failed to load' },
+    error: { type: 'string', nullable: true },
+  },
+};
+
+// Candidato de POST /hotel/resolve
+export const hotelCandidate = {
+  type: 'object',
+  required: ['name', 'url', 'propertyId', 'score'],
+  properties: {
+    name: { type: 'string' },
+    city: { type: 'string', nullable: true, description: 'Address or area as shown by Booking' },
+    url: { type: 'string', description: 'Booking hotel page, usable as bookingUrl' },
+    propertyId: { type: 'string', description: 'Usable as propertyId in /hotel' },
+    thumbnail: { type: 'string', nullable: true },
+    score: { type: 'number', description: 'Name (and city) match from 0 to 1' },
+    pinned: { type: 'boolean', description: 'Already pinned for the userUuid and hotelName of the request' },
+  },
+};
+
+// Songkick y Ticketmaster comparten el formato de eventos que guarda Supabase
+export const eventItem = {
+  type: 'object',
+  properties: {
+    nombre: { type: 'string' },
+    fecha: { type: 'string', nullable: true, description: 'YYYY-MM-DD' },
+    lugar: { type: 'string', nullable: true },
+    enlace: { type: 'string', nullable: true },
+    latitude: { type: 'number', nullable: true },
+    longitude: { type: 'number', nullable: true },
+    distance_km: { type: 'number', nullable: true },
+  },
+};
+
+export const amadeusHotel = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    hotelId: { type: 'string' },
+    geoCode: { type: 'object', properties: { latitude: { type: 'number' }, longitude: { type: 'number' } } },
+    address: { type: 'object' },
+  },
+};
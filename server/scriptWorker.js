@@ -0,0 +1,12 @@
+import { workerData } from 'node:worker_threads';
+import { pathToFileURL } from 'node:url';
+
+// Entrada de los worker threads (SCRAPER_RUNTIME=pool): importa el scraper y corre su `main(args)`.
+// El módulo se carga de cero en cada thread, así que su estado no se comparte entre jobs.
+// Mensajes del protocolo, pedido de navegador, `cancel` y `drain`: ver scripts/lib/.
+const { script, args } = workerData;
+const mod = await import(pathToFileURL(script).href);
+if (typeof mod.main !== 'function') throw new Error(`${script} does not export main(args)`);
+await mod.main(args);
+// Los listeners de mensajes mantienen vivo el thread: salir al terminar, como el proceso por CLI
+process.exit();
@@ -0,0 +1,72 @@
+import fs from 'fs';
+import path from 'path';
+import { logger } from './logger.js';
+
+// Store append-only (NDJSON) de jobs: cada línea es un snapshot del job y al recargar se
+// combinan por id (el último gana campo a campo; un snapshot sin `result` conserva el anterior).
+// Pasado JOBS_STORE_MAX_MB se reescribe con los jobs vigentes (ver needsCompaction).
+const STORE_FILE = process.env.JOBS_STORE_FILE || path.join(process.cwd(), 'server', 'tmp', 'jobs.ndjson');
+const MAX_BYTES = (Number(process.env.JOBS_STORE_MAX_MB) > 0 ? Number(process.env.JOBS_STORE_MAX_MB) : 20) * 1024 * 1024;
+
+let size = null; // bytes del archivo (se lee al primer uso)
+let compactedSize = 0; // bytes tras la última compactación
+
+function currentSize() {
+  if (size === null) {
+    try { size = fs.statSync(STORE_FILE).size; } catch { size = 0; }
+  }
+  return size;
+}
+
+function ensureDir() {
+  try { fs.mkdirSync(path.dirname(STORE_FILE), { recursive: true }); } catch {}
+}
+
+export function appendRecord(record) {
+  ensureDir();
+  const line = JSON.stringify(record) + '\n';
+  try {
+    currentSize();
+    fs.appendFileSync(STORE_FILE, line, 'utf8');
+    size += Buffer.byteLength(line);
+  } catch (e) {
+    logger.error('store append failed', { error: e });
+  }
+}
+
+// Hay que compactar: el archivo pasó el límite y al menos duplicó lo que quedó la última vez
+// (si los jobs vigentes ya ocupan más que el límite, no se reescribe en cada cambio)
+export function needsCompaction() {
+  return currentSize() > Math.max(MAX_BYTES, compactedSize * 2);
+}
+
+// Lee el store y devuelve el estado de cada job (orden de creación)
+export function loadRecords() {
+  let text = '';
+  try { text = fs.readFileSync(STORE_FILE, 'utf8'); } catch { return []; }
+  const byId = new Map();
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      const rec = JSON.parse(line);
+      if (rec && rec.id) byId.set(rec.id, { ...byId.get(rec.id), ...rec });
+    } catch {
+      // línea truncada (p.ej. crash a mitad de escritura): se ignora
+    }
+  }
+  return [...byId.values()].sort((a, b) => (a.createdAt || 0) - (b.createdAt || 0));
+}
+
+// Reescribe el store con solo los snapshots vigentes
+export function compactRecords(records) {
+  ensureDir();
+  const tmp = `${STORE_FILE}.tmp`;
+  const text = records.map(r => JSON.stringify(r)).join('\n') + (records.length ? '\n' : '');
+  try {
+    fs.writeFileSync(tmp, text, 'utf8');
+    fs.renameSync(tmp, STORE_FILE);
+    size = compactedSize = Buffer.byteLength(text);
+  } catch (e) {
+    logger.error('store compact failed', { error: e });
+  }
+}
@@ -0,0 +1,112 @@
+// Validación declarativa de bodies con un subconjunto de JSON Schema
+// (type, properties, required, enum, minimum/maximum, min/maxLength, pattern, format,
+// items, min/maxItems, nullable, default). Los mismos schemas alimentan /openapi.json.
+// Un objeto con `properties` solo conserva las declaradas: el resto del input se descarta
+// (no llega a los handlers, los params del job ni el store).
+
+const FORMATS = {
+  'http-url': (v) => {
+    try {
+      const u = new URL(v);
+      return u.protocol === 'http:' || u.protocol === 'https:';
+    } catch { return false; }
+  },
+  date: (v) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)),
+};
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+function checkNode(schema, value, field, errors) {
+  if (value === null && schema.nullable) return value;
+  if (!matchesType(value, schema.type)) {
+    errors.push({ field, message: `must be ${schema.type === 'integer' ? 'an integer' : `a ${schema.type}`}` });
+    return value;
+  }
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ field, message: `must be one of ${schema.enum.join(', ')}` });
+  }
+  if (schema.type === 'number' || schema.type === 'integer') {
+    if (schema.minimum != null && value < schema.minimum) errors.push({ field, message: `must be >= ${schema.minimum}` });
+    if (schema.maximum != null && value > schema.maximum) errors.push({ field, message: `must be <= ${schema.maximum}` });
+  }
+  if (schema.type === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) errors.push({ field, message: `must have at least ${schema.minLength} characters` });
+    if (schema.maxLength != null && value.length > schema.maxLength) errors.push({ field, message: `must have at most ${schema.maxLength} characters` });
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) errors.push({ field, message: `must match ${schema.pattern}` });
+    if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) errors.push({ field, message: `must be a valid ${schema.format}` });
+  }
+  if (schema.type === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) errors.push({ field, message: `must have at least ${schema.minItems} items` });
+    if (schema.maxItems != null && value.length > schema.maxItems) errors.push({ field, message: `must have at most ${schema.maxItems} items` });
+    if (schema.items) return value.map((item, i) => checkNode(schema.items, item, `${field}[${i}]`, errors));
+  }
+  if (schema.type === 'object' && schema.properties) {
+    return checkObject(schema, value, field, errors);
+  }
+  return value;
+}
+
+function checkObject(schema, input, prefix, errors) {
+  const out = {};
+  for (const name of schema.required || []) {
+    if (input[name] === undefined || input[name] === '') errors.push({ field: prefix ? `${prefix}.${name}` : name, message: 'is required' });
+  }
+  for (const [name, prop] of Object.entries(schema.properties || {})) {
+    const field = prefix ? `${prefix}.${name}` : name;
+    if (input[name] === undefined || (input[name] === '' && (schema.required || []).includes(name))) {
+      if (prop.default !== undefined) out[name] = prop.default;
+      continue;
+    }
+    out[name] = checkNode(prop, input[name], field, errors);
+  }
+  return out;
+}
+
+// Valida `input` contra un schema de objeto. Devuelve { value, errors } con los defaults aplicados
+// y sin los campos que el schema no declara.
+export function validate(schema, input) {
+  const errors = [];
+  if (typeOf(input) !== 'object') {
+    return { value: {}, errors: [{ field: '(body)', message: 'must be a JSON object' }] };
+  }
+  const value = checkObject(schema, input, '', errors);
+  return { value, errors };
+}
+
+// Envelope 400 uniforme para todas las rutas
+export function validationErrorBody(errors) {
+  return { ok: false, error: 'invalid request', errors };
+}
+
+// Middleware Express: valida req.body y lo reemplaza por el valor con defaults
+export function validateBody(schema) {
+  return (req, res, next) => {
+    const { value, errors } = validate(schema, req.body ?? {});
+    if (errors.length) return res.status(400).json(validationErrorBody(errors));
+    req.body = value;
+    next();
+  };
+}
+
+// Schema en formato OpenAPI 3.0 (los formatos propios se exponen como `uri`)
+export function toOpenApiSchema(schema) {
+  if (!schema || typeof schema !== 'object') return schema;
+  const out = { ...schema };
+  if (out.format === 'http-url') out.format = 'uri';
+  if (out.properties) {
+    out.properties = Object.fromEntries(Object.entries(out.properties).map(([k, v]) => [k, toOpenApiSchema(v)]));
+  }
+  if (out.items) out.items = toOpenApiSchema(out.items);
+  return out;
+}
@@ -0,0 +1,73 @@
+import crypto from 'node:crypto';
+import { saveJob } from './jobs.js';
+import { jobLogger } from './logger.js';
+
+// Callbacks firmados (HMAC-SHA256) al terminar un job con `callbackUrl`
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS || 5);
+const RETRY_BASE_MS = Number(process.env.WEBHOOK_RETRY_BASE_MS || 2000);
+const ATTEMPT_TIMEOUT_MS = Number(process.env.WEBHOOK_TIMEOUT_MS || 10000);
+
+export const SIGNATURE_HEADER = 'x-arkus-signature';
+export const TIMESTAMP_HEADER = 'x-arkus-timestamp';
+
+export function webhooksEnabled() {
+  return !!process.env.WEBHOOK_SECRET;
+}
+
+// Firma `${timestamp}.${body}` para que el receptor pueda rechazar replays antiguos
+export function signPayload(body, timestamp, secret = process.env.WEBHOOK_SECRET) {
+  const digest = crypto.createHmac('sha256', String(secret || '')).update(`${timestamp}.${body}`).digest('hex');
+  return `sha256=${digest}`;
+}
+
+async function attemptDelivery(job, body) {
+  const timestamp = String(Math.floor(Date.now() / 1000));
+  const startedAt = Date.now();
+  const attempt = { at: startedAt, status: null, error: null, durationMs: null };
+  try {
+    const res = await fetch(job.webhook.url, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/json',
+        'x-job-id': job.id,
+        ...(job.requestId ? { 'x-request-id': job.requestId } : {}),
+        [TIMESTAMP_HEADER]: timestamp,
+        [SIGNATURE_HEADER]: signPayload(body, timestamp),
+      },
+      body,
+      signal: AbortSignal.timeout(ATTEMPT_TIMEOUT_MS),
+    });
+    attempt.status = res.status;
+    if (!res.ok) attempt.error = `HTTP ${res.status}`;
+  } catch (e) {
+    attempt.error = String(e?.message || e);
+  }
+  attempt.durationMs = Date.now() - startedAt;
+  job.webhook.attempts.push(attempt);
+  return !attempt.error;
+}
+
+// Entrega el resultado final del job con reintentos y backoff exponencial.
+// Cada intento queda registrado en `job.webhook.attempts` (visible en GET /jobs/:id/webhook).
+export async function deliverJobWebhook(job) {
+  if (!job?.webhook || job.webhook.status !== 'pending') return;
+  const body = JSON.stringify({ jobId: job.id, route: job.route, status: job.status, finishedAt: job.finishedAt, result: job.result });
+  while (job.webhook.attempts.length < MAX_ATTEMPTS) {
+    const ok = await attemptDelivery(job, body);
+    if (ok) {
+      job.webhook.status = 'delivered';
+      saveJob(job);
+      jobLogger(job).info('webhook delivered', { attempts: job.webhook.attempts.length });
+      return;
+    }
+    saveJob(job);
+    const n = job.webhook.attempts.length;
+    if (n >= MAX_ATTEMPTS) break;
+    const delay = RETRY_BASE_MS * 2 ** (n - 1);
+    jobLogger(job).warn('webhook attempt failed', { attempt: n, error: job.webhook.attempts[n - 1].error, retryInMs: delay });
+    await new Promise(r => setTimeout(r, delay));
+  }
+  job.webhook.status = 'failed';
+  saveJob(job);
+  jobLogger(job).error('webhook delivery failed', { attempts: job.webhook.attempts.length });
+}